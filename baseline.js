@@ -0,0 +1,118 @@
+/**
+ * Baseline Comparison
+ *
+ * Compares a codec test run against a saved JSON report (from --format json
+ * or --save-baseline) to show which files changed behaviour after an mpv
+ * upgrade or an option change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const reportFormats = require('./report-formats');
+
+// Differences smaller than these are measurement noise, not changes
+const FPS_EPSILON = 0.01;
+const DURATION_EPSILON = 0.05;
+
+// Parse a load-time tolerance: "50%" (relative) or "200" (milliseconds)
+function parseTolerance(text) {
+  const match = /^(\d+(?:\.\d+)?)(%|ms)?$/.exec(String(text).trim());
+  if (!match) throw new Error(`Invalid load-time tolerance: ${text} (use e.g. 50% or 200ms)`);
+  return { value: Number(match[1]), relative: match[2] === '%' };
+}
+
+function formatTolerance(tolerance) {
+  return tolerance.relative ? `${tolerance.value}%` : `${tolerance.value}ms`;
+}
+
+function loadBaseline(file) {
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read baseline ${file}: ${error.message}`);
+  }
+  if (!report || !Array.isArray(report.results)) {
+    throw new Error(`Baseline ${file} is not a JSON codec report (no "results" array)`);
+  }
+  return report;
+}
+
+// Key records by path relative to the tested directory so a baseline taken
+// from another working directory still lines up
+function keyed(records, directory) {
+  const map = new Map();
+  for (const record of records) {
+    map.set(directory ? path.relative(directory, record.file) : record.file, record);
+  }
+  return map;
+}
+
+function loadRegressed(before, after, tolerance) {
+  if (before === null || after === null) return false;
+  const allowed = tolerance.relative ? before * tolerance.value / 100 : tolerance.value;
+  return after - before > allowed;
+}
+
+// Compare current results with a baseline report
+function compare(baselineReport, results, directory, tolerance) {
+  const before = keyed(baselineReport.results, baselineReport.directory);
+  const after = keyed(results.map(reportFormats.toRecord), directory);
+  const diff = {
+    newlyFailing: [],
+    newlyPassing: [],
+    changed: [],
+    slower: [],
+    added: [],
+    missing: []
+  };
+
+  for (const [file, now] of after) {
+    const then = before.get(file);
+    if (!then) {
+      diff.added.push({ file });
+      continue;
+    }
+    if (then.success && !now.success) {
+      diff.newlyFailing.push({ file, error: now.error });
+      continue;
+    }
+    if (!then.success && now.success) {
+      diff.newlyPassing.push({ file, previousError: then.error });
+      continue;
+    }
+    if (!now.success) continue;
+
+    const changes = [];
+    for (const field of ['codec', 'codecName']) {
+      if (then[field] !== undefined && then[field] !== now[field]) {
+        changes.push({ field, before: then[field], after: now[field] });
+      }
+    }
+    if (Math.abs((then.fps || 0) - (now.fps || 0)) > FPS_EPSILON) {
+      changes.push({ field: 'fps', before: then.fps, after: now.fps });
+    }
+    if (Math.abs((then.duration || 0) - (now.duration || 0)) > DURATION_EPSILON) {
+      changes.push({ field: 'duration', before: then.duration, after: now.duration });
+    }
+    if (changes.length > 0) diff.changed.push({ file, changes });
+
+    if (loadRegressed(then.loadTime, now.loadTime, tolerance)) {
+      diff.slower.push({ file, before: then.loadTime, after: now.loadTime });
+    }
+  }
+
+  for (const file of before.keys()) {
+    if (!after.has(file)) diff.missing.push({ file });
+  }
+
+  diff.total = Object.values(diff).reduce((sum, list) => sum + list.length, 0);
+  return diff;
+}
+
+module.exports = {
+  parseTolerance,
+  formatTolerance,
+  loadBaseline,
+  compare
+};
@@ -0,0 +1,148 @@
+/**
+ * Frame Capture
+ *
+ * Frame-exact stills and image sequences through mpv's screenshot-to-file.
+ * Every capture waits until mpv reports the requested frame as displayed, so
+ * a still taken after a frame-step is the frame that was on screen. File
+ * names carry the frame number and SMPTE timecode; sequences also get a
+ * manifest.json describing every image.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const timecode = require('./timecode');
+
+// mpv screenshot flags: what ends up in the image
+const CAPTURE_MODES = {
+  video: 'video',          // decoded frame only, at source resolution
+  subtitles: 'subtitles',  // with subtitles, at source resolution
+  window: 'window'         // exactly as displayed: subtitles and OSD, scaled to the window
+};
+
+// Where stills and sequences go unless a path is given, relative to the working directory
+const CAPTURE_DIR = 'captures';
+
+// How long to wait for mpv to show a requested frame
+const FRAME_TIMEOUT = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// File name for a still: clip_f000375_00-00-15-00.png (':' and ';' are not
+// valid on every filesystem, so the timecode uses '-')
+function stillName(prefix, frame, fps, ext = '.png') {
+  const tc = timecode.framesToTimecode(frame, fps).replace(/[:;]/g, '-');
+  return `${prefix}_f${String(frame).padStart(6, '0')}_${tc}${ext}`;
+}
+
+async function displayedFrame(player, fps) {
+  try {
+    return await player.getProperty('estimated-frame-number');
+  } catch (error) {
+    return timecode.secondsToFrame(await player.getProperty('time-pos'), fps);
+  }
+}
+
+// Wait for a pending seek or frame-step to finish
+async function settle(player, timeout = FRAME_TIMEOUT) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline && await player.getProperty('seeking').catch(() => false)) {
+    await sleep(10);
+  }
+}
+
+// Wait until mpv shows the given frame.
+// Returns the frame actually displayed (differs only on timeout).
+async function waitForFrame(player, frame, fps, timeout = FRAME_TIMEOUT) {
+  const deadline = Date.now() + timeout;
+  let current;
+  do {
+    await settle(player, timeout);
+    current = await displayedFrame(player, fps);
+    if (current === frame) return current;
+    await sleep(10);
+  } while (Date.now() < deadline);
+  return current;
+}
+
+// Show a frame: one frame-step when it is the next one, an exact seek otherwise
+async function showFrame(player, frame, fps) {
+  const current = await displayedFrame(player, fps);
+  if (frame === current + 1) {
+    await player.command('frame-step');
+  } else if (frame !== current) {
+    await player.command('seek', [timecode.frameToSeconds(frame, fps), 'absolute+exact']);
+  }
+  return waitForFrame(player, frame, fps);
+}
+
+// Save the displayed frame; mpv picks the image format from the extension
+async function captureFrame(player, file, mode = 'video') {
+  if (!CAPTURE_MODES[mode]) {
+    throw new Error(`Unknown capture mode: ${mode} (expected ${Object.keys(CAPTURE_MODES).join(', ')})`);
+  }
+  await player.command('screenshot-to-file', [file, CAPTURE_MODES[mode]]);
+  return file;
+}
+
+// Save the current frame as <dir>/<prefix>_f<frame>_<timecode>.png.
+// Returns { file, frame, timecode, seconds }.
+async function captureStill(player, { dir = CAPTURE_DIR, prefix, fps, mode = 'video' }) {
+  await settle(player);
+  fs.mkdirSync(dir, { recursive: true });
+  const frame = await displayedFrame(player, fps);
+  const file = path.join(dir, stillName(prefix, frame, fps));
+  await captureFrame(player, file, mode);
+  return { file, frame, timecode: timecode.framesToTimecode(frame, fps), seconds: timecode.frameToSeconds(frame, fps) };
+}
+
+// Export frames startFrame..endFrame (inclusive), every Nth, into dir, then
+// write dir/manifest.json. onProgress(done, total) is called after each image.
+// Returns the manifest.
+async function exportSequence(player, options) {
+  const { dir, prefix, fps, startFrame, endFrame, every = 1, mode = 'video', source, onProgress } = options;
+  if (!fps) throw new Error('Frame rate unknown - cannot export frames');
+  if (!(every >= 1)) throw new Error('Frame interval must be 1 or more');
+  if (endFrame < startFrame) throw new Error('End frame is before start frame');
+
+  fs.mkdirSync(dir, { recursive: true });
+  const targets = [];
+  for (let frame = startFrame; frame <= endFrame; frame += every) targets.push(frame);
+
+  const frames = [];
+  for (const target of targets) {
+    const frame = await showFrame(player, target, fps);
+    const file = stillName(prefix, frame, fps);
+    await captureFrame(player, path.join(dir, file), mode);
+    frames.push({
+      file,
+      frame,
+      timecode: timecode.framesToTimecode(frame, fps),
+      seconds: Number(timecode.frameToSeconds(frame, fps).toFixed(6)),
+      // mpv never settled on the requested frame
+      ...(frame !== target && { requestedFrame: target })
+    });
+    if (onProgress) onProgress(frames.length, targets.length);
+  }
+
+  const manifest = {
+    generated: new Date().toISOString(),
+    source,
+    fps,
+    mode,
+    every,
+    start: { frame: startFrame, timecode: timecode.framesToTimecode(startFrame, fps) },
+    end: { frame: endFrame, timecode: timecode.framesToTimecode(endFrame, fps) },
+    frames
+  };
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+module.exports = {
+  CAPTURE_DIR,
+  CAPTURE_MODES,
+  stillName,
+  captureFrame,
+  captureStill,
+  exportSequence
+};
@@ -0,0 +1,151 @@
+/**
+ * A/B Clip Export
+ *
+ * Writes a time range of a video to a new file with FFmpeg, either by
+ * stream copy (fast, but cut on keyframes) or by re-encoding (frame-exact).
+ *
+ * A stream copy can only start on a keyframe, so the clip begins at the last
+ * keyframe at or before A. findKeyframeBefore() uses ffprobe's packet flags to
+ * report how far that is, so the caller can warn before exporting.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+// Re-encode presets: encoder arguments and the containers that can hold them
+const ENCODE_PRESETS = {
+  h264: {
+    video: ['-c:v', 'libx264', '-preset', 'medium', '-crf', '18', '-pix_fmt', 'yuv420p'],
+    audio: ['-c:a', 'aac', '-b:a', '192k'],
+    containers: ['mp4', 'mkv', 'mov']
+  },
+  hevc: {
+    // hvc1 tag so QuickTime/Safari play the MP4
+    video: ['-c:v', 'libx265', '-preset', 'medium', '-crf', '20', '-tag:v', 'hvc1'],
+    audio: ['-c:a', 'aac', '-b:a', '192k'],
+    containers: ['mp4', 'mkv', 'mov']
+  },
+  vp9: {
+    video: ['-c:v', 'libvpx-vp9', '-crf', '30', '-b:v', '0', '-row-mt', '1'],
+    audio: ['-c:a', 'libopus', '-b:a', '128k'],
+    containers: ['webm', 'mkv']
+  },
+  prores: {
+    video: ['-c:v', 'prores_ks', '-profile:v', '3'],
+    audio: ['-c:a', 'pcm_s16le'],
+    containers: ['mov', 'mkv']
+  }
+};
+
+// A keyframe closer to A than this counts as exact (half a frame at 24 fps)
+const KEYFRAME_TOLERANCE = 0.02;
+
+// How far before A to look for a keyframe; longer GOPs are reported as unknown
+const KEYFRAME_SEARCH = 60;
+
+// Run a tool, calling onLine for each stdout line; resolves with stdout
+function run(command, args, onLine) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stdout = '';
+    let stderr = '';
+    let partial = '';
+    child.stdout.on('data', (data) => {
+      stdout += data;
+      if (!onLine) return;
+      const lines = (partial + data).split('\n');
+      partial = lines.pop();
+      lines.forEach(onLine);
+    });
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', (error) => reject(new Error(`Could not run ${command}: ${error.message}`)));
+    child.on('close', (code) => {
+      if (code === 0) resolve(stdout);
+      else reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+// Time of the last video keyframe at or before `seconds`, or null if none was
+// found within KEYFRAME_SEARCH seconds
+async function findKeyframeBefore(src, seconds) {
+  const from = Math.max(0, seconds - KEYFRAME_SEARCH);
+  const output = await run('ffprobe', [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-read_intervals', `${from}%${seconds + KEYFRAME_TOLERANCE}`,
+    '-show_entries', 'packet=pts_time,flags',
+    '-of', 'csv=p=0',
+    src
+  ]);
+
+  let keyframe = null;
+  for (const line of output.split('\n')) {
+    const [ptsTime, flags] = line.trim().split(',');
+    const time = parseFloat(ptsTime);
+    if (flags && flags.includes('K') && time <= seconds + KEYFRAME_TOLERANCE &&
+        (keyframe === null || time > keyframe)) {
+      keyframe = time;
+    }
+  }
+  return keyframe;
+}
+
+// Check a mode/codec/container combination, throwing on anything FFmpeg would refuse
+function validateExport({ mode, codec, container }) {
+  if (mode === 'copy') return;
+  if (mode !== 'encode') throw new Error(`Unknown export mode: ${mode} (expected copy or encode)`);
+  const preset = ENCODE_PRESETS[codec];
+  if (!preset) {
+    throw new Error(`Unknown codec: ${codec} (expected ${Object.keys(ENCODE_PRESETS).join(', ')})`);
+  }
+  if (!preset.containers.includes(container)) {
+    throw new Error(`${codec} cannot be written to ${container} (use ${preset.containers.join(', ')})`);
+  }
+}
+
+// Default output: <dir>/<name>_clip_<start>-<end>.<ext>, times in milliseconds
+function defaultClipPath(src, start, end, container) {
+  const { dir, name, ext } = path.parse(src);
+  const ms = (seconds) => Math.round(seconds * 1000);
+  return path.join(dir, `${name}_clip_${ms(start)}-${ms(end)}${container ? `.${container}` : ext}`);
+}
+
+// Export src from start to end (seconds) into dest. Options:
+//   mode        'copy' (stream copy, keyframe-aligned) or 'encode' (frame-exact)
+//   codec       ENCODE_PRESETS key, for encode
+//   onProgress  called with the fraction done (0-1) as FFmpeg reports it
+async function exportClip(src, dest, { start, end, mode = 'copy', codec = 'h264', onProgress }) {
+  if (!(end > start)) throw new Error('Clip end must be after its start');
+  const container = path.extname(dest).slice(1).toLowerCase();
+  validateExport({ mode, codec, container });
+
+  const duration = end - start;
+  const args = ['-y', '-v', 'error', '-nostats', '-progress', 'pipe:1', '-ss', String(start), '-i', src, '-t', String(duration)];
+  if (mode === 'copy') {
+    // Timestamps restart at zero so players do not show a gap before the keyframe
+    args.push('-map', '0', '-c', 'copy', '-avoid_negative_ts', 'make_zero');
+  } else {
+    const preset = ENCODE_PRESETS[codec];
+    args.push('-map', '0:v:0', '-map', '0:a?', ...preset.video, ...preset.audio);
+  }
+  args.push(dest);
+
+  await run('ffmpeg', args, (line) => {
+    // out_time_us is the position written so far (out_time_ms is also microseconds)
+    const match = /^out_time_(?:us|ms)=(\d+)/.exec(line.trim());
+    if (match && onProgress) onProgress(Math.min(1, Number(match[1]) / 1e6 / duration));
+  });
+  if (onProgress) onProgress(1);
+  return dest;
+}
+
+module.exports = {
+  ENCODE_PRESETS,
+  KEYFRAME_TOLERANCE,
+  run,
+  findKeyframeBefore,
+  validateExport,
+  defaultClipPath,
+  exportClip
+};
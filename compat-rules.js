@@ -0,0 +1,163 @@
+/**
+ * Codec/Container Compatibility Rules
+ *
+ * Declarative rules describing what a target player can play directly.
+ * Each rule matches on facts mpv reports about a file and carries a verdict
+ * and reason; the first matching rule wins, otherwise the default applies.
+ *
+ * Match conditions per field:
+ *   "h264"                 exact, case-insensitive
+ *   ["h263", "h263p"]      any of these
+ *   { "regex": "^wmv" }    regular expression, case-insensitive
+ *   { "min": 10, "max": 12 }  numeric range (inclusive)
+ * A condition on a fact that is unknown for a file never matches.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'rules', 'vidvur.json');
+
+const FIELDS = ['codec', 'container', 'extension', 'pixelFormat', 'profile', 'bitDepth', 'width', 'height'];
+const VERDICTS = ['direct', 'convert'];
+
+// Bit depth per pixel format family, tried in order on the name without its
+// le/be suffix: the fixed depth given, or else the number the pattern captures
+const BIT_DEPTHS = [
+  // Semi-planar high depth: p010, p016, p210, p410
+  [/^p[0-4](\d{2})$/],
+  // Packed 4:2:2: y210, y212
+  [/^y2(\d{2})$/],
+  [/^x2(?:rgb|bgr)10$/, 10],
+  [/^(?:rgba?|bgra?)(?:48|64)$/, 16],
+  [/^(?:gray|ya|xyz)(\d{1,2})$/],
+  [/^nv20$/, 10],
+  // Planar with the depth after the p: yuv420p10, gbrp12, yuva444p16
+  [/p(\d{1,2})$/],
+  // 8-bit formats, which carry no depth in their name
+  [/^(?:yuvj?a?\d{3}p|gbra?p|gray|nv1[26]|nv2[14]|nv42|yuyv422|uyvy422|yvyu422|(?:rgb|bgr)(?:24|0)|0?(?:rgb|bgr)a?|a(?:rgb|bgr)|pal8)$/, 8]
+];
+
+// Bit depth from an FFmpeg or mpv pixel format name (yuv420p10le -> 10,
+// p010 -> 10, rgba64le -> 16), or null for formats it cannot tell
+function bitDepthOf(pixelFormat) {
+  if (!pixelFormat) return null;
+  const name = String(pixelFormat).toLowerCase().replace(/(le|be)$/, '');
+  for (const [pattern, depth] of BIT_DEPTHS) {
+    const match = pattern.exec(name);
+    if (match) return depth === undefined ? Number(match[1]) : depth;
+  }
+  return null;
+}
+
+// Build rule facts from mpv properties
+function factsFrom({ filePath, codecName, fileFormat, pixelFormat, profile, width, height }) {
+  return {
+    codec: codecName || null,
+    // mpv reports demuxer names such as "mov,mp4,m4a,3gp,3g2,mj2"
+    container: fileFormat ? fileFormat.split(',').map(name => name.trim()) : null,
+    extension: filePath ? path.extname(filePath).toLowerCase() : null,
+    pixelFormat: pixelFormat || null,
+    profile: profile || null,
+    bitDepth: bitDepthOf(pixelFormat),
+    width: width || null,
+    height: height || null
+  };
+}
+
+function validateCondition(field, condition, where) {
+  if (!FIELDS.includes(field)) {
+    throw new Error(`${where}: unknown field "${field}" (expected ${FIELDS.join(', ')})`);
+  }
+  if (typeof condition === 'string' || typeof condition === 'number') return;
+  if (Array.isArray(condition) && condition.length > 0) return;
+  if (condition && typeof condition === 'object') {
+    if ('regex' in condition) {
+      new RegExp(condition.regex, 'i');
+      return;
+    }
+    if ('min' in condition || 'max' in condition) return;
+  }
+  throw new Error(`${where}: invalid condition for "${field}": ${JSON.stringify(condition)}`);
+}
+
+// Check a parsed rules object, throwing a descriptive error on the first problem
+function validateRules(rules, source = 'rules') {
+  if (!rules || !Array.isArray(rules.rules)) {
+    throw new Error(`${source}: expected an object with a "rules" array`);
+  }
+  const defaultVerdict = (rules.default && rules.default.verdict) || 'direct';
+  if (!VERDICTS.includes(defaultVerdict)) {
+    throw new Error(`${source}: default verdict must be one of ${VERDICTS.join(', ')}`);
+  }
+  rules.rules.forEach((rule, i) => {
+    const where = `${source} rule ${i + 1}`;
+    if (!rule.match || typeof rule.match !== 'object' || Object.keys(rule.match).length === 0) {
+      throw new Error(`${where}: "match" must be a non-empty object`);
+    }
+    if (!VERDICTS.includes(rule.verdict)) {
+      throw new Error(`${where}: verdict must be one of ${VERDICTS.join(', ')}`);
+    }
+    for (const [field, condition] of Object.entries(rule.match)) {
+      validateCondition(field, condition, where);
+    }
+  });
+  return rules;
+}
+
+// Load and validate a rules file (JSON)
+function loadRules(file = DEFAULT_RULES_FILE) {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read rules file ${file}: ${error.message}`);
+  }
+  validateRules(rules, path.basename(file));
+  rules.name = rules.name || path.basename(file, path.extname(file));
+  return rules;
+}
+
+function matchValue(condition, value) {
+  if (Array.isArray(condition)) {
+    return condition.some(c => matchValue(c, value));
+  }
+  if (typeof condition === 'object') {
+    if ('regex' in condition) {
+      return new RegExp(condition.regex, 'i').test(String(value));
+    }
+    const number = Number(value);
+    return Number.isFinite(number) &&
+      (!('min' in condition) || number >= condition.min) &&
+      (!('max' in condition) || number <= condition.max);
+  }
+  return String(value).toLowerCase() === String(condition).toLowerCase();
+}
+
+function matchCondition(condition, fact) {
+  if (fact === null || fact === undefined) return false;
+  // Multi-valued facts (container names) match if any value matches
+  return Array.isArray(fact) ? fact.some(value => matchValue(condition, value)) : matchValue(condition, fact);
+}
+
+// Evaluate facts against rules: { verdict, reason, rule (index or null) }
+function evaluate(rules, facts) {
+  const index = rules.rules.findIndex(rule =>
+    Object.entries(rule.match).every(([field, condition]) => matchCondition(condition, facts[field]))
+  );
+  if (index >= 0) {
+    const rule = rules.rules[index];
+    return { verdict: rule.verdict, reason: rule.reason || null, rule: index };
+  }
+  const fallback = rules.default || {};
+  return { verdict: fallback.verdict || 'direct', reason: fallback.reason || null, rule: null };
+}
+
+module.exports = {
+  DEFAULT_RULES_FILE,
+  FIELDS,
+  factsFrom,
+  loadRules,
+  validateRules,
+  evaluate
+};
@@ -0,0 +1,250 @@
+/**
+ * Local Control API
+ *
+ * HTTP + WebSocket API mirroring the Electron IPC bridge planned in
+ * INTEGRATION_PLAN.md (mpvCommand, mpvGetProperty, mpvSetProperty, mpvSeek...),
+ * so the React player can be prototyped against a real mpv before the Electron
+ * integration exists. Binds to localhost only.
+ *
+ * Any web page the user has open can send requests to localhost, so the
+ * server answers only when Host is 127.0.0.1/localhost on its own port (DNS
+ * rebinding) and Origin is absent (curl, scripts) or the one origin passed
+ * as allowedOrigin. Bodies must be JSON, which a cross-origin form or
+ * text/plain request cannot send without a preflight, and raw commands are
+ * limited to COMMAND_ALLOWLIST: mpv's run, subprocess and load-script start
+ * processes, and lavfi graphs (vf, af) can read files. Properties can only be
+ * written if they are in PROPERTY_ALLOWLIST, whether through PUT or a
+ * property command: properties such as stream-record, input-ipc-server or
+ * script-opts write files or load code.
+ *
+ *   GET    /api/info                    current video, position and loop
+ *   POST   /api/load        {path}
+ *   POST   /api/play | /api/pause | /api/toggle-pause
+ *   POST   /api/seek        {position, mode: absolute|relative}
+ *   POST   /api/frame-step  {direction: forward|backward, count}
+ *   POST   /api/loop        {start, end}
+ *   DELETE /api/loop
+ *   POST   /api/command     {command, args}
+ *   GET    /api/property/<name>
+ *   PUT    /api/property/<name> {value}
+ *   WS     /ws              property changes and player events
+ */
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+// Largest request body accepted, in bytes
+const MAX_BODY = 64 * 1024;
+
+// Raw mpv commands POST /api/command accepts
+const COMMAND_ALLOWLIST = [
+  'seek', 'revert-seek', 'frame-step', 'frame-back-step', 'sub-seek', 'sub-step',
+  'set', 'add', 'cycle', 'multiply', 'cycle-values',
+  'ab-loop', 'show-text', 'show-progress', 'playlist-next', 'playlist-prev', 'stop'
+];
+
+// Commands whose first argument is a property they write
+const PROPERTY_COMMANDS = ['set', 'add', 'cycle', 'multiply', 'cycle-values'];
+
+// Properties PUT /api/property and the property commands may write
+const PROPERTY_ALLOWLIST = [
+  'pause', 'speed', 'volume', 'mute', 'audio-pitch-correction',
+  'time-pos', 'percent-pos', 'chapter',
+  'ab-loop-a', 'ab-loop-b', 'ab-loop-count', 'loop-file',
+  'aid', 'sid', 'sub-visibility', 'sub-delay', 'audio-delay',
+  'brightness', 'contrast', 'saturation', 'gamma',
+  'video-rotate', 'video-zoom', 'video-pan-x', 'video-pan-y',
+  'osd-level', 'fullscreen'
+];
+
+// node-mpv events forwarded to WebSocket clients
+const FORWARDED_EVENTS = ['started', 'stopped', 'paused', 'resumed', 'seek', 'crashed', 'quit'];
+
+// Error carrying the HTTP status to respond with
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      if (type !== 'application/json') {
+        return reject(httpError(415, 'Request body must be application/json'));
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(httpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// CORS headers for the allowed origin only; other origins get none
+function send(res, status, payload, corsOrigin = null) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (corsOrigin) {
+    Object.assign(headers, {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Vary': 'Origin'
+    });
+  }
+  res.writeHead(status, headers);
+  res.end(JSON.stringify(payload));
+}
+
+// Why a request (or WebSocket upgrade) is refused, or null to accept it
+function rejectReason(req, port, allowedOrigin) {
+  const hosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+  if (!hosts.includes(String(req.headers.host).toLowerCase())) {
+    return `Host must be one of ${hosts.join(', ')}`;
+  }
+  const origin = req.headers.origin;
+  if (origin !== undefined && origin !== allowedOrigin) {
+    return `Origin ${origin} is not allowed`;
+  }
+  return null;
+}
+
+function required(body, field) {
+  if (body[field] === undefined || body[field] === null || body[field] === '') {
+    throw httpError(400, `Missing "${field}"`);
+  }
+  return body[field];
+}
+
+// Frames per frame-step request; each one is an awaited mpv round trip
+const MAX_FRAME_STEPS = 1000;
+
+function frameCount(count) {
+  if (count === undefined || count === null) return 1;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_FRAME_STEPS) {
+    throw httpError(400, `"count" must be a whole number from 1 to ${MAX_FRAME_STEPS}`);
+  }
+  return count;
+}
+
+function writableProperty(name) {
+  if (!PROPERTY_ALLOWLIST.includes(name)) {
+    throw httpError(403, `Property "${name}" cannot be set (allowed: ${PROPERTY_ALLOWLIST.join(', ')})`);
+  }
+  return name;
+}
+
+function allowedCommand(command, args) {
+  if (!COMMAND_ALLOWLIST.includes(command)) {
+    throw httpError(403, `Command "${command}" is not allowed (allowed: ${COMMAND_ALLOWLIST.join(', ')})`);
+  }
+  if (!Array.isArray(args)) {
+    throw httpError(400, '"args" must be an array');
+  }
+  if (PROPERTY_COMMANDS.includes(command)) {
+    // cycle-values takes an optional !reverse flag before the property
+    const property = command === 'cycle-values' && args[0] === '!reverse' ? args[1] : args[0];
+    writableProperty(String(property));
+  }
+  return [command, args];
+}
+
+// Build the route table from the operations poc.js exposes
+function createRoutes(api) {
+  return {
+    'GET /api/info': () => api.getInfo(),
+    'POST /api/load': (body) => api.load(required(body, 'path')),
+    'POST /api/play': () => api.player.resume(),
+    'POST /api/pause': () => api.player.pause(),
+    'POST /api/toggle-pause': () => api.player.togglePause(),
+    'POST /api/seek': (body) => api.seek(required(body, 'position'), body.mode || 'absolute'),
+    'POST /api/frame-step': (body) => api.frameStep(body.direction || 'forward', frameCount(body.count)),
+    'POST /api/loop': (body) => api.setLoop(required(body, 'start'), required(body, 'end')),
+    'DELETE /api/loop': () => api.clearLoop(),
+    'POST /api/command': (body) => api.player.command(...allowedCommand(required(body, 'command'), body.args || [])),
+    'GET /api/property': (body, name) => api.player.getProperty(name),
+    'PUT /api/property': (body, name) => api.player.setProperty(writableProperty(name), body.value)
+  };
+}
+
+// Start the server; resolves with { server, close } once listening.
+// allowedOrigin is the one browser origin (e.g. a dev server's
+// http://localhost:5173) allowed to call the API.
+function startControlServer(port, api, { allowedOrigin = null } = {}) {
+  const routes = createRoutes(api);
+
+  const server = http.createServer(async (req, res) => {
+    const refused = rejectReason(req, port, allowedOrigin);
+    if (refused) return send(res, 403, { ok: false, error: refused });
+    const corsOrigin = req.headers.origin ? allowedOrigin : null;
+    if (req.method === 'OPTIONS') return send(res, 204, {}, corsOrigin);
+
+    const url = new URL(req.url, 'http://localhost');
+    const propertyMatch = /^\/api\/property\/(.+)$/.exec(url.pathname);
+    const route = propertyMatch ? '/api/property' : url.pathname;
+    const handler = routes[`${req.method} ${route}`];
+    if (!handler) return send(res, 404, { ok: false, error: `No route for ${req.method} ${url.pathname}` }, corsOrigin);
+
+    try {
+      const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {};
+      const result = await handler(body, propertyMatch && decodeURIComponent(propertyMatch[1]));
+      send(res, 200, { ok: true, result: result === undefined ? null : result }, corsOrigin);
+    } catch (error) {
+      // node-mpv rejects with plain objects carrying a message
+      const message = (error && (error.message || error.errmessage)) || String(error);
+      send(res, (error && error.status) || 500, { ok: false, error: message }, corsOrigin);
+    }
+  });
+
+  const wss = new WebSocketServer({
+    server,
+    path: '/ws',
+    verifyClient: ({ req }) => rejectReason(req, port, allowedOrigin) === null
+  });
+  const broadcast = (message) => {
+    const data = JSON.stringify(message);
+    for (const client of wss.clients) {
+      if (client.readyState === client.OPEN) client.send(data);
+    }
+  };
+
+  api.propertyCache.on('change', (name, value) => broadcast({ type: 'property', name, value }));
+  for (const event of FORWARDED_EVENTS) {
+    api.player.on(event, (data) => broadcast({ type: 'event', event, data: data === undefined ? null : data }));
+  }
+  wss.on('connection', (socket) => {
+    socket.send(JSON.stringify({ type: 'info', data: api.getInfo() }));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        server,
+        close: () => {
+          wss.close();
+          server.close();
+        }
+      });
+    });
+  });
+}
+
+module.exports = {
+  COMMAND_ALLOWLIST,
+  PROPERTY_ALLOWLIST,
+  MAX_FRAME_STEPS,
+  startControlServer
+};
@@ -0,0 +1,298 @@
+/**
+ * Fake mpv JSON IPC Server
+ *
+ * Speaks enough of mpv's JSON IPC protocol (newline-delimited JSON over a
+ * unix socket or named pipe) for node-mpv to drive it like a real player, so
+ * poc.js and test-codecs.js can be exercised without an mpv binary or media.
+ * node-mpv hooks into an instance already listening on its socket instead of
+ * spawning one, so pointing a player's `socket` option here is enough.
+ *
+ *   const fake = await createFakeMpv({
+ *     files: { '/videos/clip.mp4': { 'video-codec': 'h264', duration: 10, 'container-fps': 25 } }
+ *   });
+ *   const player = new mpv({ socket: fake.socketPath });
+ *   await player.start();
+ *
+ * Properties are scriptable, latency and errors can be injected per command
+ * or property, every command is recorded, and crash() drops every connection
+ * the way a dying mpv process would.
+ */
+
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+let instanceCount = 0;
+
+// Properties every fake instance starts with
+const DEFAULT_PROPERTIES = {
+  'mpv-version': 'mpv 0.37.0 (fake)',
+  'idle-active': true,
+  'pause': true,
+  'speed': 1,
+  'volume': 100,
+  'mute': false,
+  'playlist-count': 0,
+  'playlist-pos': -1,
+  'seeking': false,
+  'ab-loop-a': 'no',
+  'ab-loop-b': 'no'
+};
+
+// Per-file properties replaced on every load
+const FILE_PROPERTIES = [
+  'path', 'filename', 'duration', 'time-pos', 'estimated-frame-number',
+  'video-codec', 'video-format', 'audio-codec-name', 'file-format',
+  'video-params/w', 'video-params/h', 'video-params/fps', 'video-params/pixelformat',
+  'container-fps', 'metadata'
+];
+
+function defaultSocketPath() {
+  const name = `vidvur-fake-mpv-${process.pid}-${++instanceCount}`;
+  return process.platform === 'win32' ? `\\\\.\\pipe\\${name}` : path.join(os.tmpdir(), `${name}.sock`);
+}
+
+// Start a fake mpv. Options:
+//   socketPath  where to listen (default: a fresh path in the temp directory)
+//   properties  initial property values
+//   files       { absolutePath: properties } that loadfile can open; a file
+//               whose entry has `loadError` fails to load with that message
+//   latency     ms before every reply, or { default, <command or property>: ms }
+//   loadTime    ms between start-file and file-loaded (default 10)
+//   seekTime    ms between a seek and playback-restart (default 10)
+// Resolves with the controller once listening.
+function createFakeMpv(options = {}) {
+  const socketPath = options.socketPath || defaultSocketPath();
+  const properties = { ...DEFAULT_PROPERTIES, ...options.properties };
+  const files = { ...options.files };
+  const commands = [];
+  const propertyErrors = {};
+  const commandErrors = {};
+  const clients = new Set();
+  let latency = options.latency || 0;
+  let loadTime = options.loadTime === undefined ? 10 : options.loadTime;
+  const seekTime = options.seekTime === undefined ? 10 : options.seekTime;
+
+  function delayFor(key) {
+    if (typeof latency === 'number') return latency;
+    return latency[key] !== undefined ? latency[key] : (latency.default || 0);
+  }
+
+  function write(client, message) {
+    if (!client.socket.destroyed) client.socket.write(JSON.stringify(message) + '\n');
+  }
+
+  // mpv sends events to every client
+  function emitEvent(event, extra = {}) {
+    for (const client of clients) write(client, { event, ...extra });
+  }
+
+  // Property changes only go to clients observing that property
+  function setProperty(name, value) {
+    properties[name] = value;
+    for (const client of clients) {
+      for (const [id, observed] of client.observed) {
+        if (observed === name) write(client, { event: 'property-change', id, name, data: value });
+      }
+    }
+  }
+
+  function fps() {
+    return properties['video-params/fps'] || properties['container-fps'] || 0;
+  }
+
+  // Move the playhead, keeping time-pos and estimated-frame-number consistent
+  function setPosition(seconds) {
+    const duration = properties.duration || 0;
+    const position = Math.min(Math.max(seconds, 0), duration);
+    setProperty('time-pos', position);
+    setProperty('estimated-frame-number', Math.floor(position * fps() + 1e-3));
+  }
+
+  function loadFile(file) {
+    const profile = files[file];
+    emitEvent('start-file', { playlist_entry_id: 1 });
+    setTimeout(() => {
+      if (!profile || profile.loadError) {
+        emitEvent('end-file', {
+          reason: 'error',
+          playlist_entry_id: 1,
+          file_error: (profile && profile.loadError) || 'loading failed'
+        });
+        emitEvent('idle');
+        return;
+      }
+      FILE_PROPERTIES.forEach(name => { delete properties[name]; });
+      const { loadError, ...values } = profile;
+      for (const [name, value] of Object.entries({ path: file, filename: path.basename(file), ...values })) {
+        setProperty(name, value);
+      }
+      setPosition(0);
+      setProperty('playlist-count', 1);
+      setProperty('playlist-pos', 0);
+      setProperty('idle-active', false);
+      emitEvent('file-loaded');
+      emitEvent('playback-restart');
+    }, loadTime);
+  }
+
+  function seek(amount, flags = 'relative') {
+    const current = properties['time-pos'] || 0;
+    setPosition(String(flags).startsWith('absolute') ? Number(amount) : current + Number(amount));
+    emitEvent('seek');
+    // node-mpv only learns a seek finished from a later playback-restart
+    setTimeout(() => emitEvent('playback-restart'), seekTime);
+  }
+
+  function step(frames) {
+    const rate = fps();
+    if (!rate) throw new Error('no video');
+    setProperty('pause', true);
+    setPosition(((properties['estimated-frame-number'] || 0) + frames) / rate);
+  }
+
+  // Run one command; returns its data or throws with an mpv error string
+  function execute(client, [name, ...args]) {
+    if (commandErrors[name]) throw new Error(commandErrors[name]);
+
+    switch (name) {
+      case 'get_property': {
+        const [property] = args;
+        if (propertyErrors[property]) throw new Error(propertyErrors[property]);
+        if (properties[property] === undefined) throw new Error('property unavailable');
+        return properties[property];
+      }
+      case 'set_property': {
+        const [property, value] = args;
+        if (propertyErrors[property]) throw new Error(propertyErrors[property]);
+        setProperty(property, value);
+        if (property === 'pause') emitEvent(value ? 'pause' : 'unpause');
+        return null;
+      }
+      case 'cycle': {
+        const [property] = args;
+        setProperty(property, !properties[property]);
+        if (property === 'pause') emitEvent(properties.pause ? 'pause' : 'unpause');
+        return null;
+      }
+      case 'add':
+        setProperty(args[0], (properties[args[0]] || 0) + Number(args[1]));
+        return null;
+      case 'observe_property': {
+        const [id, property] = args;
+        client.observed.set(id, property);
+        // mpv reports the current value right away
+        setTimeout(() => write(client, { event: 'property-change', id, name: property, data: properties[property] }), 0);
+        return null;
+      }
+      case 'unobserve_property':
+        client.observed.delete(args[0]);
+        return null;
+      case 'loadfile':
+        loadFile(args[0]);
+        return null;
+      case 'stop':
+        setProperty('idle-active', true);
+        emitEvent('end-file', { reason: 'stop' });
+        emitEvent('idle');
+        return null;
+      case 'seek':
+        seek(args[0], args[1]);
+        return null;
+      case 'frame-step':
+        step(1);
+        return null;
+      case 'frame-back-step':
+        step(-1);
+        return null;
+      case 'quit':
+        setTimeout(() => closeConnections(), 0);
+        return null;
+      default:
+        // Anything else (screenshot-to-file, request_log_messages...) only gets recorded
+        return null;
+    }
+  }
+
+  function handleLine(client, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      write(client, { error: 'invalid parameter' });
+      return;
+    }
+    const command = request.command || [];
+    const requestId = request.request_id === undefined ? 0 : request.request_id;
+    commands.push({ command, time: Date.now() });
+
+    const key = command[0] === 'get_property' || command[0] === 'set_property' ? command[1] : command[0];
+    setTimeout(() => {
+      try {
+        const data = execute(client, command);
+        write(client, { request_id: requestId, error: 'success', data });
+      } catch (error) {
+        write(client, { request_id: requestId, error: error.message, data: null });
+      }
+    }, delayFor(key));
+  }
+
+  function closeConnections() {
+    for (const client of clients) client.socket.destroy();
+    clients.clear();
+  }
+
+  const server = net.createServer((socket) => {
+    const client = { socket, observed: new Map() };
+    clients.add(client);
+    let buffer = '';
+    socket.on('data', (data) => {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => handleLine(client, line));
+    });
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+  });
+
+  // Stop listening and drop every client; node-mpv sees the socket close
+  function close() {
+    closeConnections();
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  const controller = {
+    socketPath,
+    properties,
+    commands,
+    setProperty,
+    setPosition,
+    emitEvent,
+    // Register a file loadfile can open
+    addFile: (file, values) => { files[file] = values; },
+    // Make get/set of a property fail with an mpv error string (null clears)
+    failProperty: (name, error = 'property unavailable') => { propertyErrors[name] = error; },
+    // Make a command fail with an mpv error string (null clears)
+    failCommand: (name, error = 'error running command') => { commandErrors[name] = error; },
+    setLatency: (value) => { latency = value; },
+    setLoadTime: (ms) => { loadTime = ms; },
+    // Commands received with the given name, e.g. sent('frame-step')
+    sent: (name) => commands.filter(entry => entry.command[0] === name).map(entry => entry.command.slice(1)),
+    clearCommands: () => { commands.length = 0; },
+    // Simulate mpv dying: every connection drops and nothing listens any more
+    crash: close,
+    close
+  };
+
+  return new Promise((resolve, reject) => {
+    if (process.platform !== 'win32' && fs.existsSync(socketPath)) fs.unlinkSync(socketPath);
+    server.once('error', reject);
+    server.listen(socketPath, () => resolve(controller));
+  });
+}
+
+module.exports = {
+  createFakeMpv
+};
@@ -0,0 +1,187 @@
+/**
+ * ffprobe Cross-Check
+ *
+ * Compares what mpv reports about a file (codec, profile, dimensions,
+ * duration, frame count, frame rate) with ffprobe's view of the same video
+ * stream, and detects variable frame rate from packet timestamps. Also counts
+ * the frames that actually decode, for test-codecs.js --deep decode.
+ *
+ * mpv exposes the frame rate twice: container-fps (the demuxer's nominal
+ * rate, used by test-codecs.js) and video-params/fps (used first by poc.js).
+ * Both are checked against ffprobe's average rate, so a file where the tools
+ * disagree shows up in the report.
+ *
+ * On a VFR file there is no single frame duration: frame numbers derived
+ * from time × fps and fixed-length frame steps are only approximate.
+ */
+
+const { run } = require('./clip-export');
+
+// Video packets sampled from the start of the file for the VFR check
+const VFR_SAMPLE_PACKETS = 1000;
+
+// Fewer intervals than this are not enough to call a stream VFR or CFR
+const MIN_INTERVALS = 10;
+
+// An interval further than this from the median is irregular: 10% of a
+// frame, but at least Matroska's default 1 ms timestamp resolution
+const INTERVAL_TOLERANCE = 0.1;
+const TIMESTAMP_RESOLUTION = 0.0011;
+
+// Share of irregular intervals above which the stream counts as VFR.
+// A few dropped or repeated frames in a CFR stream stay below it.
+const VFR_IRREGULAR_SHARE = 0.02;
+
+// Parse an ffprobe rate such as 30000/1001; 0/0 and missing rates are null
+function parseRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!(num > 0)) return null;
+  return den > 0 ? num / den : (den === undefined ? num : null);
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// ffprobe's facts about the first video stream; throws if there is none
+async function probeVideo(src) {
+  const output = await run('ffprobe', [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=codec_name,profile,width,height,nb_frames,avg_frame_rate,r_frame_rate:format=duration',
+    '-of', 'json',
+    src
+  ]);
+  const { streams = [], format = {} } = JSON.parse(output);
+  const stream = streams[0];
+  if (!stream) throw new Error('ffprobe found no video stream');
+  return {
+    codec: stream.codec_name || null,
+    profile: stream.profile || null,
+    width: stream.width || null,
+    height: stream.height || null,
+    duration: toNumber(format.duration),
+    frames: parseInt(stream.nb_frames, 10) || null,
+    fps: parseRate(stream.avg_frame_rate),
+    // Lowest rate that represents every timestamp; differs from fps on many VFR files
+    baseFps: parseRate(stream.r_frame_rate)
+  };
+}
+
+// Classify packet timestamps (seconds, in any order) as constant or variable
+// frame rate. vfr is null when there are too few packets to tell.
+function analyzeTimestamps(times) {
+  // Packets come in decode order; B-frames put that out of display order
+  const sorted = times.filter(Number.isFinite).sort((a, b) => a - b);
+  const intervals = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const interval = sorted[i] - sorted[i - 1];
+    if (interval > 0) intervals.push(interval);
+  }
+  if (intervals.length < MIN_INTERVALS) {
+    return { packets: sorted.length, vfr: null };
+  }
+
+  const ordered = intervals.slice().sort((a, b) => a - b);
+  const median = ordered[Math.floor(ordered.length / 2)];
+  const tolerance = Math.max(median * INTERVAL_TOLERANCE, TIMESTAMP_RESOLUTION);
+  const irregular = intervals.filter(interval => Math.abs(interval - median) > tolerance).length / intervals.length;
+  return {
+    packets: sorted.length,
+    vfr: irregular > VFR_IRREGULAR_SHARE,
+    // Mean over the sample; single intervals carry the timestamp rounding
+    averageFps: intervals.length / (sorted[sorted.length - 1] - sorted[0]),
+    minInterval: ordered[0],
+    maxInterval: ordered[ordered.length - 1],
+    irregular
+  };
+}
+
+// Number of frames in the first video stream, counted by decoding all of it
+// (not read from the container), or null if ffprobe cannot tell
+async function countFrames(src) {
+  const output = await run('ffprobe', [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-count_frames',
+    '-show_entries', 'stream=nb_read_frames',
+    '-of', 'csv=p=0',
+    src
+  ]);
+  const frames = parseInt(output, 10);
+  return Number.isFinite(frames) ? frames : null;
+}
+
+// VFR check from the timestamps of the first video packets
+async function detectVfr(src, packets = VFR_SAMPLE_PACKETS) {
+  const output = await run('ffprobe', [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-read_intervals', `%+#${packets}`,
+    '-show_entries', 'packet=pts_time',
+    '-of', 'csv=p=0',
+    src
+  ]);
+  return analyzeTimestamps(output.split('\n').map(line => parseFloat(line)));
+}
+
+const close = (absolute, relative) => (a, b) => Math.abs(a - b) <= Math.max(absolute, Math.abs(b) * relative);
+
+// Fields compared: the mpv fact, the ffprobe fact and when two values agree
+const CHECKS = [
+  { field: 'codec', mpv: 'codecName', probe: 'codec', same: (a, b) => a === b },
+  { field: 'profile', mpv: 'profile', probe: 'profile', same: (a, b) => String(a).toLowerCase() === String(b).toLowerCase() },
+  { field: 'width', mpv: 'width', probe: 'width', same: (a, b) => a === b },
+  { field: 'height', mpv: 'height', probe: 'height', same: (a, b) => a === b },
+  { field: 'duration', mpv: 'duration', probe: 'duration', same: close(0.1, 0.005) },
+  // mpv's frame count is estimated from duration × fps
+  { field: 'frames', mpv: 'frames', probe: 'frames', same: close(1, 0.005) },
+  { field: 'container-fps', mpv: 'containerFps', probe: 'fps', same: close(0.01, 0) },
+  { field: 'video-params/fps', mpv: 'paramsFps', probe: 'fps', same: close(0.01, 0) }
+];
+
+// Facts the two tools disagree on, as { field, mpv, ffprobe }. A fact only
+// one of them reports is not a mismatch: mpv leaves some unset per file.
+function compareFacts(mpvFacts, probeFacts) {
+  const known = (value) => value !== null && value !== undefined && value !== '';
+  return CHECKS
+    .filter(check => known(mpvFacts[check.mpv]) && known(probeFacts[check.probe]))
+    .filter(check => !check.same(mpvFacts[check.mpv], probeFacts[check.probe]))
+    .map(check => ({ field: check.field, mpv: mpvFacts[check.mpv], ffprobe: probeFacts[check.probe] }));
+}
+
+// One-line form of a mismatch: 'container-fps: mpv 30, ffprobe 29.97'
+function describeMismatch({ field, mpv, ffprobe }) {
+  const show = (value) => (typeof value === 'number' && !Number.isInteger(value) ? Number(value.toFixed(3)) : value);
+  return `${field}: mpv ${show(mpv)}, ffprobe ${show(ffprobe)}`;
+}
+
+// Probe a file and compare it with mpv's facts
+async function crossCheck(src, mpvFacts) {
+  const facts = await probeVideo(src);
+  const timestamps = await detectVfr(src);
+  return { facts, timestamps, vfr: timestamps.vfr, mismatches: compareFacts(mpvFacts, facts) };
+}
+
+// Whether ffprobe can be run at all
+async function ffprobeAvailable() {
+  try {
+    await run('ffprobe', ['-version']);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parseRate,
+  probeVideo,
+  analyzeTimestamps,
+  detectVfr,
+  countFrames,
+  compareFacts,
+  describeMismatch,
+  crossCheck,
+  ffprobeAvailable
+};
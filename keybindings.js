@@ -0,0 +1,189 @@
+/**
+ * Key Bindings
+ *
+ * Maps keys to poc.js action commands. A binding's value is a command line
+ * as typed at the ':' prompt (action id, then arguments), so any action can
+ * be bound with fixed arguments, e.g. "left": "seek -5".
+ *
+ * Key names: printable characters as typed ('k', 'K', '{', ':'), and named
+ * keys in lower case (space, left, right, up, down, pageup, pagedown, home,
+ * end, backspace, delete, tab, f1-f12) with optional ctrl+, alt+ and shift+
+ * prefixes, e.g. shift+left or ctrl+s.
+ *
+ * Users override the defaults in a JSON file; null removes a binding:
+ *
+ *   { "bindings": { "k": "toggle-pause", "j": "seek -10", "l": "seek +10", "o": null } }
+ */
+
+const fs = require('fs');
+
+const DEFAULT_BINDINGS = {
+  'l': 'load',
+  '<': 'prev-file',
+  '>': 'next-file',
+  'o': 'playlist',
+  'O': 'recent',
+  'space': 'toggle-pause',
+  'left': 'seek -5',
+  'right': 'seek +5',
+  '0': 'seek 0',
+  'g': 'seek',
+  '[': 'step backward',
+  ']': 'step forward',
+  's': 'loop-a',
+  'f': 'loop-b',
+  'b': 'loop-clear',
+  'n': 'save-loop',
+  ',': 'prev-loop',
+  '.': 'next-loop',
+  'm': 'loops',
+  'w': 'write-loops',
+  'c': 'still video',
+  'C': 'still window',
+  'x': 'export-frames',
+  'e': 'export-clip',
+  '-': 'speed down',
+  '+': 'speed up',
+  '=': 'speed up',
+  'p': 'pitch-correction',
+  'P': 'practice',
+  // mpv's default equalizer keys
+  '1': 'adjust contrast down',
+  '2': 'adjust contrast up',
+  '3': 'adjust brightness down',
+  '4': 'adjust brightness up',
+  '5': 'adjust gamma down',
+  '6': 'adjust gamma up',
+  '7': 'adjust saturation down',
+  '8': 'adjust saturation up',
+  'M': 'mirror',
+  'R': 'rotate',
+  'u': 'zoom out',
+  'U': 'zoom in',
+  'shift+left': 'pan left',
+  'shift+right': 'pan right',
+  'shift+up': 'pan up',
+  'shift+down': 'pan down',
+  'backspace': 'reset-video',
+  'pageup': 'chapter prev',
+  'pagedown': 'chapter next',
+  'h': 'chapters',
+  'k': 'marker',
+  '{': 'prev-marker',
+  '}': 'next-marker',
+  'K': 'markers',
+  'a': 'audio',
+  'j': 'sub',
+  'v': 'sub-off',
+  't': 'sub-load',
+  'z': 'sub-delay down',
+  'Z': 'sub-delay up',
+  'i': 'info',
+  'd': 'stats',
+  'D': 'record-stats',
+  'r': 'reset-metrics',
+  ':': 'palette',
+  '?': 'help',
+  'q': 'quit'
+};
+
+const MODIFIERS = ['ctrl', 'alt', 'shift'];
+
+// Display names for named keys in the help
+const KEY_LABELS = {
+  space: 'Space', left: '←', right: '→', up: '↑', down: '↓',
+  pageup: 'PgUp', pagedown: 'PgDn', home: 'Home', end: 'End',
+  backspace: 'Backspace', delete: 'Delete', tab: 'Tab'
+};
+
+// Name of a keypress from readline's (str, key) pair, in binding syntax
+function keyName(str, key = {}) {
+  const named = Boolean(key.name && key.name.length > 1);
+  if (!named && str && str.length === 1 && !key.ctrl && !key.meta) return str;
+  const base = named ? key.name : (key.name || str);
+  if (!base) return null;
+  // Shift is already part of a printable character ('K' rather than shift+k)
+  const modifiers = [key.ctrl && 'ctrl', key.meta && 'alt', named && key.shift && 'shift'].filter(Boolean);
+  return [...modifiers, base].join('+');
+}
+
+// Modifiers and key of a key name; a lone or trailing '+' (as in ctrl++) is the key itself
+function splitKey(spec) {
+  const text = String(spec);
+  const base = text.endsWith('+') ? '+' : text.slice(text.lastIndexOf('+') + 1);
+  const modifiers = text.slice(0, text.length - base.length).split('+').filter(Boolean);
+  return { modifiers, base };
+}
+
+// Canonical form of a key name from a config file: 'Shift+Left' -> 'shift+left'
+function normalizeKey(spec) {
+  const split = splitKey(spec);
+  const modifiers = split.modifiers.map(part => part.toLowerCase())
+    .map(part => (part === 'meta' || part === 'option' ? 'alt' : part));
+  const unknown = modifiers.find(modifier => !MODIFIERS.includes(modifier));
+  if (unknown) throw new Error(`Unknown modifier "${unknown}" in key "${spec}"`);
+  const base = split.base.length > 1 ? split.base.toLowerCase() : split.base;
+  return [...MODIFIERS.filter(modifier => modifiers.includes(modifier)), base].join('+');
+}
+
+// Key name for the help: 'shift+left' -> 'Shift+←'
+function formatKey(spec) {
+  const { modifiers, base } = splitKey(spec);
+  const label = KEY_LABELS[base] || (base.length > 1 ? base.toUpperCase() : base);
+  return [...modifiers.map(modifier => modifier[0].toUpperCase() + modifier.slice(1)), label].join('+');
+}
+
+// Split a command line into an action id and its arguments
+function parseCommand(line) {
+  const [name, ...args] = String(line).trim().split(/\s+/);
+  return { name: name || '', args };
+}
+
+// Default bindings with the overrides from a JSON config file applied.
+// Bindings to unknown actions are dropped and reported in warnings; a file
+// that cannot be parsed throws. A missing file just gives the defaults.
+function loadBindings(file, actionIds) {
+  const bindings = { ...DEFAULT_BINDINGS };
+  const warnings = [];
+  if (!file || !fs.existsSync(file)) return { bindings, warnings };
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid key bindings file ${file}: ${error.message}`);
+  }
+  if (!config || typeof config.bindings !== 'object' || config.bindings === null) {
+    throw new Error(`Invalid key bindings file ${file}: expected { "bindings": { "<key>": "<action> [args]" } }`);
+  }
+
+  for (const [spec, command] of Object.entries(config.bindings)) {
+    let key;
+    try {
+      key = normalizeKey(spec);
+    } catch (error) {
+      warnings.push(error.message);
+      continue;
+    }
+    if (command === null) {
+      delete bindings[key];
+      continue;
+    }
+    const { name } = parseCommand(command);
+    if (!actionIds.includes(name)) {
+      warnings.push(`Unknown action "${name}" bound to ${spec}`);
+      continue;
+    }
+    bindings[key] = String(command).trim();
+  }
+  return { bindings, warnings };
+}
+
+module.exports = {
+  DEFAULT_BINDINGS,
+  keyName,
+  normalizeKey,
+  formatKey,
+  parseCommand,
+  loadBindings
+};
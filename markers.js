@@ -0,0 +1,78 @@
+/**
+ * User Markers and Chapter Files
+ *
+ * Markers are labelled points in time ({ time, label }) kept sorted by time.
+ * Exported as chapters, each marker starts a chapter that runs to the next
+ * marker (or the end of the file), in FFmpeg's FFMETADATA format or as
+ * WebVTT chapters, so they can be muxed back into the source:
+ *
+ *   ffmpeg -i clip.mp4 -i clip.chapters.txt -map 0 -map_metadata 1 -map_chapters 1 -c copy out.mp4
+ */
+
+// Markers closer than this to the playhead count as "here" when stepping
+const POSITION_EPSILON = 0.01;
+
+function sortMarkers(markers) {
+  return markers.sort((a, b) => a.time - b.time);
+}
+
+// The marker after (direction 1) or before (direction -1) a position, or null
+function adjacentMarker(markers, position, direction) {
+  if (direction > 0) {
+    return markers.find(marker => marker.time > position + POSITION_EPSILON) || null;
+  }
+  const before = markers.filter(marker => marker.time < position - POSITION_EPSILON);
+  return before.length > 0 ? before[before.length - 1] : null;
+}
+
+// Chapter ranges from sorted markers: each runs until the next marker or the end
+function toChapters(markers, duration) {
+  const sorted = sortMarkers([...markers]);
+  return sorted.map((marker, i) => ({
+    start: marker.time,
+    end: i + 1 < sorted.length ? sorted[i + 1].time : Math.max(duration || 0, marker.time),
+    title: marker.label
+  }));
+}
+
+// FFMETADATA escapes '=', ';', '#', '\' and newlines with a backslash
+function escapeMetadata(text) {
+  return String(text).replace(/[=;#\\\n]/g, char => `\\${char}`);
+}
+
+function toFFmetadata(markers, duration) {
+  const lines = [';FFMETADATA1'];
+  for (const chapter of toChapters(markers, duration)) {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${escapeMetadata(chapter.title)}`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// WebVTT timestamp: HH:MM:SS.mmm
+function vttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+function toWebVTT(markers, duration) {
+  const cues = toChapters(markers, duration).map((chapter, i) =>
+    // Cue text may not contain blank lines or the arrow
+    `${i + 1}\n${vttTime(chapter.start)} --> ${vttTime(chapter.end)}\n${String(chapter.title).replace(/\s*\n\s*/g, ' ').replace(/-->/g, '->')}`
+  );
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+module.exports = {
+  sortMarkers,
+  adjacentMarker,
+  toChapters,
+  toFFmetadata,
+  toWebVTT
+};
@@ -0,0 +1,92 @@
+/**
+ * Media Files
+ *
+ * Which files count as videos, directory scanning and path completion,
+ * shared by poc.js (playlists, the load prompt) and test-codecs.js.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.mov', '.webm', '.flv', '.wmv', '.mpg', '.mpeg', '.m4v', '.3gp'];
+
+function isVideoFile(filePath) {
+  return VIDEO_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// Expand a leading ~ to the home directory
+function expandHome(filePath) {
+  return filePath === '~' || filePath.startsWith(`~${path.sep}`) || filePath.startsWith('~/') ?
+    path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+// All video files under dir, sorted
+function scanDir(dir, { recursive = true } = {}) {
+  const files = [];
+  function scan(current) {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory() && recursive) {
+        scan(fullPath);
+      } else if (entry.isFile() && isVideoFile(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+  }
+  scan(dir);
+  return files.sort();
+}
+
+// Turn files and directories into a playlist: directories contribute their
+// videos (sorted), files are kept in the given order whatever their extension.
+// Missing paths are returned separately.
+function expandPaths(paths) {
+  const files = [];
+  const missing = [];
+  for (const input of paths) {
+    const filePath = path.resolve(expandHome(input));
+    if (!fs.existsSync(filePath)) {
+      missing.push(input);
+    } else if (fs.statSync(filePath).isDirectory()) {
+      files.push(...scanDir(filePath));
+    } else {
+      files.push(filePath);
+    }
+  }
+  return { files, missing };
+}
+
+// readline completer for file paths: completes directories (with a trailing
+// separator) and files with the given extensions (videos by default)
+function completePath(line, extensions = VIDEO_EXTENSIONS) {
+  const expanded = expandHome(line);
+  const endsWithSep = expanded.endsWith('/') || expanded.endsWith(path.sep);
+  const dir = endsWithSep ? expanded : path.dirname(expanded);
+  const partial = endsWithSep ? '' : path.basename(expanded);
+
+  let entries;
+  try {
+    entries = fs.readdirSync(dir || '.', { withFileTypes: true });
+  } catch (error) {
+    return [[], line];
+  }
+
+  // Keep what the user typed before the partial name, including a leading ~
+  const prefix = line.slice(0, line.length - partial.length);
+  const matches = entries
+    .filter(entry => entry.name.startsWith(partial) && (partial.startsWith('.') || !entry.name.startsWith('.')))
+    .filter(entry => entry.isDirectory() || extensions.includes(path.extname(entry.name).toLowerCase()))
+    .map(entry => prefix + entry.name + (entry.isDirectory() ? path.sep : ''))
+    .sort();
+  return [matches, line];
+}
+
+module.exports = {
+  VIDEO_EXTENSIONS,
+  isVideoFile,
+  expandHome,
+  scanDir,
+  expandPaths,
+  completePath
+};
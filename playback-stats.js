@@ -0,0 +1,134 @@
+/**
+ * Playback Health Statistics
+ *
+ * Samples mpv's playback health properties (dropped frames, A/V sync, cache,
+ * bitrates, hardware decoding, display fps) for the stats panel and for
+ * session recordings written as CSV, one row per sample.
+ */
+
+const { csvField } = require('./report-formats');
+
+// Sample fields and the mpv property each one reads
+const STAT_PROPERTIES = {
+  file: 'filename',
+  position: 'time-pos',
+  paused: 'pause',
+  speed: 'speed',
+  frameDrops: 'frame-drop-count',
+  decoderDrops: 'decoder-frame-drop-count',
+  avsync: 'avsync',
+  cacheDuration: 'demuxer-cache-duration',
+  cacheState: 'demuxer-cache-state',
+  videoBitrate: 'video-bitrate',
+  audioBitrate: 'audio-bitrate',
+  hwdec: 'hwdec-current',
+  displayFps: 'estimated-display-fps',
+  filterFps: 'estimated-vf-fps'
+};
+
+function fixed(value, digits) {
+  return typeof value === 'number' ? value.toFixed(digits) : null;
+}
+
+function kbps(bits) {
+  return typeof bits === 'number' ? Math.round(bits / 1000) : null;
+}
+
+// CSV columns and how each is taken from a sample
+const CSV_COLUMNS = {
+  timestamp: sample => sample.time.toISOString(),
+  file: sample => sample.file,
+  position_s: sample => fixed(sample.position, 3),
+  paused: sample => sample.paused,
+  speed: sample => sample.speed,
+  frame_drops: sample => sample.frameDrops,
+  decoder_drops: sample => sample.decoderDrops,
+  avsync_ms: sample => (typeof sample.avsync === 'number' ? (sample.avsync * 1000).toFixed(1) : null),
+  cache_s: sample => fixed(sample.cacheDuration, 2),
+  cache_bytes: sample => sample.cacheBytes,
+  video_kbps: sample => kbps(sample.videoBitrate),
+  audio_kbps: sample => kbps(sample.audioBitrate),
+  hwdec: sample => sample.hwdec,
+  display_fps: sample => fixed(sample.displayFps, 3),
+  vf_fps: sample => fixed(sample.filterFps, 3)
+};
+
+// Read every stat in one batch; properties mpv cannot report right now
+// (no audio, nothing cached yet, still loading) are null
+async function sampleStats(player) {
+  const sample = { time: new Date() };
+  await Promise.all(Object.entries(STAT_PROPERTIES).map(async ([field, property]) => {
+    try {
+      sample[field] = await player.getProperty(property);
+    } catch (error) {
+      sample[field] = null;
+    }
+  }));
+  // Bytes cached ahead of the playhead
+  sample.cacheBytes = sample.cacheState ? sample.cacheState['fw-bytes'] : null;
+  delete sample.cacheState;
+  return sample;
+}
+
+function csvHeader() {
+  return `${Object.keys(CSV_COLUMNS).join(',')}\n`;
+}
+
+function toCsvRow(sample) {
+  return `${Object.values(CSV_COLUMNS).map(column => csvField(column(sample))).join(',')}\n`;
+}
+
+// Label/value pairs for the stats panel
+function describeSample(sample) {
+  const or = (value, fallback = 'n/a') => (value === null || value === undefined ? fallback : value);
+  const mbps = (bits) => (typeof bits === 'number' ? `${(bits / 1e6).toFixed(2)} Mbps` : 'n/a');
+  const cacheMB = typeof sample.cacheBytes === 'number' ? `, ${(sample.cacheBytes / 1048576).toFixed(1)} MB` : '';
+  return [
+    ['Dropped frames', `${or(sample.frameDrops, 0)} (decoder ${or(sample.decoderDrops, 0)})`],
+    ['A/V sync', typeof sample.avsync === 'number' ? `${sample.avsync >= 0 ? '+' : ''}${(sample.avsync * 1000).toFixed(1)} ms` : 'n/a'],
+    ['Cache', `${or(fixed(sample.cacheDuration, 1), '0.0')}s${cacheMB}`],
+    ['Video bitrate', mbps(sample.videoBitrate)],
+    ['Audio bitrate', typeof sample.audioBitrate === 'number' ? `${kbps(sample.audioBitrate)} kbps` : 'n/a'],
+    ['Hardware decoding', sample.hwdec && sample.hwdec !== 'no' ? sample.hwdec : 'no (software)'],
+    ['Display fps', or(fixed(sample.displayFps, 3))],
+    ['Video filter fps', or(fixed(sample.filterFps, 3))]
+  ];
+}
+
+// Growth of a counter across samples. mpv resets drop counters when a new
+// file starts, so a decrease starts a new run instead of counting negative.
+function counterIncrease(samples, field) {
+  let total = 0;
+  let previous = null;
+  for (const sample of samples) {
+    const value = sample[field];
+    if (typeof value !== 'number') continue;
+    total += previous === null ? 0 : (value >= previous ? value - previous : value);
+    previous = value;
+  }
+  return total;
+}
+
+// Summary of a recording: duration, drops during it, worst A/V sync and cache
+function summarizeStats(samples) {
+  const values = (field) => samples.map(sample => sample[field]).filter(value => typeof value === 'number');
+  const avsync = values('avsync').map(Math.abs);
+  const cache = values('cacheDuration');
+  return {
+    samples: samples.length,
+    seconds: samples.length > 1 ? (samples[samples.length - 1].time - samples[0].time) / 1000 : 0,
+    frameDrops: counterIncrease(samples, 'frameDrops'),
+    decoderDrops: counterIncrease(samples, 'decoderDrops'),
+    maxAvsyncMs: avsync.length > 0 ? avsync.reduce((a, b) => Math.max(a, b)) * 1000 : null,
+    minCacheSeconds: cache.length > 0 ? cache.reduce((a, b) => Math.min(a, b)) : null
+  };
+}
+
+module.exports = {
+  STAT_PROPERTIES,
+  sampleStats,
+  csvHeader,
+  toCsvRow,
+  describeSample,
+  summarizeStats
+};
@@ -11,6 +11,21 @@ const mpv = require('node-mpv');
 const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
+const store = require('./store');
+const vidvurMetadata = require('./vidvur-metadata');
+const timecode = require('./timecode');
+const capture = require('./capture');
+const clipExport = require('./clip-export');
+const mediaFiles = require('./media-files');
+const tracks = require('./tracks');
+const markerFiles = require('./markers');
+const practice = require('./practice');
+const videoAdjust = require('./video-adjust');
+const playbackStats = require('./playback-stats');
+const keybindings = require('./keybindings');
+const transcodeCache = require('./transcode-cache');
+const { createPropertyCache } = require('./property-cache');
+const { startControlServer } = require('./control-server');
 
 // Terminal colors
 const colors = {
@@ -30,6 +45,56 @@ let loopStart = null;
 let loopEnd = null;
 let forwardStepTimes = [];
 let backwardStepTimes = [];
+let currentVideoHash = null;
+let savedLoops = [];
+let activeLoopIndex = -1;
+let commentPayload = null;
+let propertyCache = null;
+let statusLineEnabled = false;
+let statusLineVisible = false;
+let statusLineSuspended = false;
+let statusLineTimer = null;
+let markers = [];
+// Active practice ramp: settings, loop range, iterations counted and the speed to restore
+let practiceSession = null;
+let practiceSettings = { ...practice.DEFAULT_RAMP };
+let adjustments = { ...videoAdjust.DEFAULT_ADJUSTMENTS };
+// Stats recording in progress: CSV path, samples so far and the sampling timer
+let statsRecording = null;
+// Key name -> action command line (keybindings.js), and the file they came from
+let keyBindings = { ...keybindings.DEFAULT_BINDINGS };
+let keyBindingsFile = null;
+let playlist = [];
+let playlistIndex = -1;
+// Set while a prompt or list owns the keyboard, so keys are not also commands
+let inputCaptured = false;
+
+// Entries kept in the recent-files list
+const RECENT_LIMIT = 20;
+
+// Per-file session state is saved and restored unless a script or benchmark runs
+let resumeEnabled = true;
+
+// Fallback conversion settings (--transcode); null plays only what mpv opens itself
+let transcodeOptions = null;
+
+// Positions this close to the end start the file from the beginning instead
+const RESUME_END_MARGIN = 2;
+
+// Properties mirrored into the local cache; the rest of poc.js reads them synchronously
+const OBSERVED_PROPERTIES = [
+  'time-pos', 'estimated-frame-number', 'pause', 'speed',
+  'ab-loop-a', 'ab-loop-b', 'demuxer-cache-duration', 'cache-buffering-state',
+  'video-codec', 'video-params/w', 'video-params/h', 'video-params/fps', 'container-fps',
+  'video-params/pixelformat', 'video-bitrate', 'duration', 'file-format',
+  'track-list', 'sub-delay', 'chapter-list', 'chapter', 'audio-pitch-correction'
+];
+
+// Subtitle delay step for z/Z, in seconds
+const SUB_DELAY_STEP = 0.1;
+
+// Stats panel refresh and recording sample interval, in ms
+const STATS_INTERVAL = 1000;
 
 // Format time as MM:SS.mmm
 function formatTime(seconds) {
@@ -40,15 +105,104 @@ function formatTime(seconds) {
   return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
 }
 
+// Format a position as frame number and SMPTE timecode
+function formatPosition(seconds, fps) {
+  if (!fps) return `${formatTime(seconds)} (frame rate unknown)`;
+  const frame = timecode.secondsToFrame(seconds, fps);
+  return `frame ${frame} | ${timecode.framesToTimecode(frame, fps)} | ${formatTime(seconds)}`;
+}
+
 // Calculate average
 function avg(arr) {
   if (arr.length === 0) return 0;
   return arr.reduce((a, b) => a + b, 0) / arr.length;
 }
 
+// Percentile using the nearest-rank method on an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+// Summarize timing samples (ms)
+function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const round = (n) => Math.round(n * 100) / 100;
+  return {
+    count: sorted.length,
+    min: round(sorted[0] || 0),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[sorted.length - 1] || 0),
+    mean: round(avg(sorted))
+  };
+}
+
+// Live status line: redrawn in place from observed property changes
+function renderStatusLine() {
+  statusLineTimer = null;
+  if (!statusLineEnabled || statusLineSuspended || !currentVideo) return;
+
+  const cached = propertyCache.get;
+  const fps = currentVideo.fps;
+  const time = cached('time-pos') || 0;
+  const frame = cached('estimated-frame-number') ?? timecode.secondsToFrame(time, fps);
+  const loopA = cached('ab-loop-a');
+  const loopB = cached('ab-loop-b');
+  const hasLoop = typeof loopA === 'number' && typeof loopB === 'number';
+  const cacheSeconds = cached('demuxer-cache-duration');
+  const buffering = cached('cache-buffering-state');
+
+  const parts = [
+    cached('pause') ? '⏸' : '▶',
+    `${formatTime(time)} / ${formatTime(currentVideo.duration)}`,
+    `frame ${frame}`,
+    fps ? timecode.framesToTimecode(frame, fps) : null,
+    `${(cached('speed') || 1).toFixed(2)}x`,
+    practiceSession ? `practice loop ${practiceSession.iterations + 1}` : null,
+    hasLoop ? `loop ${formatTime(loopA)}-${formatTime(loopB)}` : 'no loop',
+    typeof cacheSeconds === 'number' ? `cache ${cacheSeconds.toFixed(1)}s${buffering < 100 ? ` (${buffering}%)` : ''}` : null,
+    statsRecording ? '● rec' : null
+  ].filter(Boolean);
+
+  const width = process.stdout.columns || 80;
+  process.stdout.write(`\r\x1b[2K${colors.cyan}${parts.join(' | ').slice(0, width - 1)}${colors.reset}`);
+  statusLineVisible = true;
+}
+
+// Coalesce bursts of property changes into one redraw
+function scheduleStatusLine() {
+  if (statusLineTimer || !statusLineEnabled) return;
+  statusLineTimer = setTimeout(renderStatusLine, 50);
+}
+
+// Erase the status line so regular output starts on a clean line
+function clearStatusLine() {
+  if (!statusLineVisible) return;
+  process.stdout.write('\r\x1b[2K');
+  statusLineVisible = false;
+}
+
+// Turn on the live status line. Console output first erases it and then
+// redraws it below, so regular messages never land on the status line.
+function enableStatusLine() {
+  statusLineEnabled = true;
+  for (const method of ['log', 'error']) {
+    const original = console[method];
+    console[method] = (...args) => {
+      clearStatusLine();
+      original(...args);
+      scheduleStatusLine();
+    };
+  }
+}
+
 // Print header
 function printHeader() {
   console.clear();
+  statusLineVisible = false;
   console.log(`${colors.bright}${colors.cyan}╔════════════════════════════════════════════════════════════════════╗${colors.reset}`);
   console.log(`${colors.bright}${colors.cyan}║          VidVuR mpv Proof of Concept - Codec Testing             ║${colors.reset}`);
   console.log(`${colors.bright}${colors.cyan}╚════════════════════════════════════════════════════════════════════╝${colors.reset}`);
@@ -60,11 +214,38 @@ function printStatus(videoInfo) {
   console.log(`${colors.bright}${colors.blue}Current Video:${colors.reset}`);
   if (videoInfo) {
     console.log(`  File: ${videoInfo.filename}`);
+    if (playlist.length > 1) {
+      console.log(`  Playlist: ${playlistIndex + 1} of ${playlist.length}`);
+    }
     console.log(`  Codec: ${colors.green}${videoInfo.codec}${colors.reset}`);
     console.log(`  Resolution: ${videoInfo.width}x${videoInfo.height}`);
     console.log(`  FPS: ${videoInfo.fps ? videoInfo.fps.toFixed(2) : 'Unknown'}`);
     console.log(`  Duration: ${formatTime(videoInfo.duration)}`);
     console.log(`  Format: ${videoInfo.format || 'Unknown'}`);
+    if (videoInfo.conversion) {
+      const { codec, seconds, cached } = videoInfo.conversion;
+      console.log(`  ${colors.yellow}Playing a ${codec} conversion (${cached ? 'cached, ' : ''}converted in ${seconds.toFixed(1)}s)${colors.reset}`);
+    }
+    const chapters = propertyCache.get('chapter-list') || [];
+    const chapter = propertyCache.get('chapter');
+    if (chapters.length > 0) {
+      const title = chapter >= 0 && chapters[chapter] ? ` ${chapters[chapter].title || ''}` : '';
+      console.log(`  Chapter: ${chapter >= 0 ? chapter + 1 : '-'} of ${chapters.length}${title}`);
+    }
+    if (markers.length > 0) {
+      console.log(`  Markers: ${markers.length}`);
+    }
+    const trackList = propertyCache.get('track-list');
+    for (const type of ['audio', 'sub']) {
+      if (tracks.tracksOfType(trackList, type).length === 0) continue;
+      const selected = tracks.selectedTrack(trackList, type);
+      console.log(`  ${tracks.TYPE_LABELS[type]}: ${selected ? tracks.describeTrack(selected) : 'off'}`);
+    }
+    console.log(`  Position: ${colors.green}${formatPosition(propertyCache.get('time-pos') || 0, videoInfo.fps)}${colors.reset}`);
+    console.log(`  Speed: ${(propertyCache.get('speed') || 1).toFixed(2)}x (pitch correction ${propertyCache.get('audio-pitch-correction') === false ? 'off' : 'on'})`);
+    if (!videoAdjust.isDefault(adjustments)) {
+      console.log(`  Adjustments: ${videoAdjust.describe(adjustments).join(', ')}`);
+    }
   } else {
     console.log(`  ${colors.yellow}No video loaded${colors.reset}`);
   }
@@ -82,6 +263,24 @@ function printStatus(videoInfo) {
     console.log();
   }
 
+  // Practice mode
+  if (practiceSession) {
+    const { start, step, target, every } = practiceSession.settings;
+    console.log(`${colors.bright}${colors.blue}Practice:${colors.reset}`);
+    console.log(`  Completed loops: ${colors.green}${practiceSession.iterations}${colors.reset}`);
+    console.log(`  Ramp: ${start}x → ${target}x, +${step}x every ${every} loop(s)`);
+    console.log();
+  }
+
+  // Saved loops
+  if (savedLoops.length > 0) {
+    console.log(`${colors.bright}${colors.blue}Saved Loops:${colors.reset} ${savedLoops.length}`);
+    if (activeLoopIndex >= 0) {
+      console.log(`  Active: ${colors.green}${activeLoopIndex + 1}. ${savedLoops[activeLoopIndex].name}${colors.reset}`);
+    }
+    console.log();
+  }
+
   // Performance metrics
   if (forwardStepTimes.length > 0 || backwardStepTimes.length > 0) {
     console.log(`${colors.bright}${colors.blue}Performance Metrics:${colors.reset}`);
@@ -95,64 +294,136 @@ function printStatus(videoInfo) {
   }
 }
 
-// Print controls
+// Print controls, generated from the key bindings and the action registry.
+// Keys bound to the same command share a row; rows follow the registry order.
 function printControls() {
   console.log(`${colors.bright}${colors.cyan}Controls:${colors.reset}`);
-  console.log(`  ${colors.bright}l${colors.reset} - Load video file`);
-  console.log(`  ${colors.bright}Space${colors.reset} - Toggle play/pause`);
-  console.log(`  ${colors.bright}←/→${colors.reset} - Seek backward/forward 5s`);
-  console.log(`  ${colors.bright}[/]${colors.reset} - Frame step backward/forward`);
-  console.log(`  ${colors.bright}s${colors.reset} - Set loop start (A)`);
-  console.log(`  ${colors.bright}f${colors.reset} - Set loop end (B)`);
-  console.log(`  ${colors.bright}b${colors.reset} - Clear loop`);
-  console.log(`  ${colors.bright}i${colors.reset} - Show video info`);
-  console.log(`  ${colors.bright}r${colors.reset} - Reset performance metrics`);
-  console.log(`  ${colors.bright}q${colors.reset} - Quit`);
+  const keysByCommand = new Map();
+  for (const [key, command] of Object.entries(keyBindings)) {
+    if (!keysByCommand.has(command)) keysByCommand.set(command, []);
+    keysByCommand.get(command).push(keybindings.formatKey(key));
+  }
+
+  const ids = Object.keys(ACTIONS);
+  const actionOf = (command) => keybindings.parseCommand(command).name;
+  const commands = [...keysByCommand.keys()].sort((a, b) => ids.indexOf(actionOf(a)) - ids.indexOf(actionOf(b)));
+  let previous = null;
+  for (const command of commands) {
+    const name = actionOf(command);
+    // Describe each action once, on its first row
+    const description = name === previous ? '' : ACTIONS[name].description;
+    console.log(`  ${colors.bright}${keysByCommand.get(command).join('/').padEnd(10)}${colors.reset} ${command.padEnd(22)} ${description}`);
+    previous = name;
+  }
+  console.log(`  ${colors.cyan}Any action can also be typed at the : prompt; ? lists them all${colors.reset}`);
   console.log();
 }
 
-// Get video info
-async function getVideoInfo(filePath) {
-  try {
-    const codec = await player.getProperty('video-codec');
-    const width = await player.getProperty('video-params/w');
-    const height = await player.getProperty('video-params/h');
-    const fps = await player.getProperty('video-params/fps');
-    const duration = await player.getProperty('duration');
-    const format = await player.getProperty('file-format');
-
-    return {
-      filename: path.basename(filePath),
-      fullPath: filePath,
-      codec: codec || 'Unknown',
-      width: width || 0,
-      height: height || 0,
-      fps: fps || 0,
-      duration: duration || 0,
-      format: format || 'Unknown'
-    };
+// Redraw the main screen after a view that cleared it
+function redrawScreen() {
+  printHeader();
+  printStatus(currentVideo);
+  printControls();
+}
+
+// Get frame rate, preferring the decoded stream and falling back to the container
+function getFrameRate() {
+  return propertyCache.get('video-params/fps') || propertyCache.get('container-fps') || 0;
+}
+
+// Get video info from the property cache
+function getVideoInfo(filePath) {
+  const cached = propertyCache.get;
+  return {
+    filename: path.basename(filePath),
+    fullPath: filePath,
+    codec: cached('video-codec') || 'Unknown',
+    width: cached('video-params/w') || 0,
+    height: cached('video-params/h') || 0,
+    fps: getFrameRate(),
+    duration: cached('duration') || 0,
+    format: cached('file-format') || 'Unknown'
+  };
+}
+
+// Convert a file mpv could not play and open the converted copy (--transcode)
+async function openConverted(filePath, reason) {
+  console.log(`${colors.yellow}⚠ mpv cannot play ${path.basename(filePath)} (${reason}) - converting with FFmpeg...${colors.reset}`);
+  let reported = 0;
+  const conversion = await transcodeCache.convert(filePath, {
+    ...transcodeOptions,
+    onProgress: (fraction) => {
+      const percent = Math.floor(fraction * 10) * 10;
+      if (percent > reported) {
+        reported = percent;
+        console.log(`${colors.cyan}  ${percent}%${colors.reset}`);
+      }
+    }
+  });
+  console.log(conversion.cached
+    ? `${colors.green}✓ Using cached conversion (took ${conversion.seconds.toFixed(1)}s when made)${colors.reset}`
+    : `${colors.green}✓ Converted in ${conversion.seconds.toFixed(1)}s${colors.reset}`);
+  await player.load(conversion.file);
+  await propertyCache.refresh();
+  return conversion;
+}
+
+// Open a file in mpv. With --transcode, a file mpv fails to open, or opens
+// without decoding its video, is converted and the converted copy opened;
+// resolves with that conversion, or null when mpv played the file itself
+async function openFile(filePath) {
+  try {
+    await player.load(filePath);
   } catch (error) {
-    console.error(`${colors.red}Error getting video info:${colors.reset}`, error.message);
-    return null;
+    if (!transcodeOptions) throw error;
+    return openConverted(filePath, error.message);
+  }
+  await propertyCache.refresh();
+  if (transcodeOptions && !propertyCache.get('video-codec') && mediaFiles.isVideoFile(filePath)) {
+    try {
+      return await openConverted(filePath, 'no decodable video stream');
+    } catch (error) {
+      // Audio-only files have no video to convert; keep what mpv opened
+      console.log(`${colors.yellow}⚠ Conversion failed, playing the file as mpv opened it: ${error.message}${colors.reset}`);
+      await player.load(filePath);
+      await propertyCache.refresh();
+    }
   }
+  return null;
 }
 
 // Load video
 async function loadVideo(filePath) {
+  await saveResumeState();
+  // The ramp belongs to the previous file's loop; its current speed was saved above
+  practiceSession = null;
   try {
     console.log(`${colors.yellow}Loading: ${filePath}${colors.reset}`);
     const startTime = Date.now();
 
-    await player.load(filePath);
+    const conversion = await openFile(filePath);
 
     const loadTime = Date.now() - startTime;
-    console.log(`${colors.green}✓ Loaded in ${loadTime}ms (no conversion needed!)${colors.reset}`);
+    if (!conversion) {
+      console.log(`${colors.green}✓ Loaded in ${loadTime}ms (no conversion needed!)${colors.reset}`);
+    }
 
-    currentVideo = await getVideoInfo(filePath);
+    currentVideo = getVideoInfo(filePath);
+    // Loops, markers and resume state stay keyed by the original file
+    currentVideo.conversion = conversion;
+    rememberRecentFile(path.resolve(filePath));
+    loadSavedLoops(filePath);
+    loadMarkers();
+    await loadAdjustments();
+    await importCommentLoops();
+    await restoreResumeState();
 
     return true;
   } catch (error) {
     console.error(`${colors.red}✗ Failed to load video:${colors.reset}`, error.message);
+    // mpv dropped the previous file too; its state was saved above
+    currentVideo = null;
+    currentVideoHash = null;
     return false;
   }
 }
@@ -176,279 +447,2269 @@ async function frameStep(direction) {
       backwardStepTimes.push(elapsed);
     }
 
-    console.log(`${colors.cyan}Frame step ${direction}: ${elapsed}ms${colors.reset}`);
+    const position = await player.getProperty('time-pos');
+    console.log(`${colors.cyan}Frame step ${direction}: ${elapsed}ms → ${formatPosition(position, currentVideo.fps)}${colors.reset}`);
+    return true;
   } catch (error) {
     console.error(`${colors.red}Frame step failed:${colors.reset}`, error.message);
+    return false;
   }
 }
 
-// Initialize mpv
-async function initialize() {
-  printHeader();
-  console.log(`${colors.yellow}Initializing mpv player...${colors.reset}`);
-
+// Exact seek to a frame number, timecode or seconds value
+async function goToPosition(input, parseOptions) {
   try {
-    player = new mpv({
-      audio_only: false,
-      time_update: 100,
-      verbose: false
-    }, [
-      '--hr-seek=yes',
-      '--hr-seek-framedrop=no',
-      '--demuxer-max-back-bytes=100M',
-      '--cache=yes',
-      '--no-osd-bar',
-      '--idle=yes'
-    ]);
-
-    await player.start();
-    console.log(`${colors.green}✓ mpv initialized successfully${colors.reset}`);
-    console.log();
-
-    // Set up event listeners
-    player.on('timeposition', (position) => {
-      // Optionally display time updates
-    });
-
-    player.on('statuschange', (status) => {
-      // console.log('Status:', status);
-    });
-
+    const { seconds } = timecode.parsePosition(input, currentVideo.fps, parseOptions);
+    if (currentVideo.duration && seconds > currentVideo.duration) {
+      console.log(`${colors.red}Position ${formatTime(seconds)} is past the end (${formatTime(currentVideo.duration)})${colors.reset}`);
+      return false;
+    }
+    await player.command('seek', [seconds, 'absolute+exact']);
+    console.log(`${colors.green}✓ Seeked to ${formatPosition(seconds, currentVideo.fps)}${colors.reset}`);
     return true;
   } catch (error) {
-    console.error(`${colors.red}✗ Failed to initialize mpv:${colors.reset}`, error.message);
-    console.log();
-    console.log(`${colors.yellow}Make sure mpv is installed:${colors.reset}`);
-    console.log(`  macOS: brew install mpv`);
-    console.log(`  Ubuntu/Debian: sudo apt-get install mpv`);
-    console.log(`  Windows: Download from https://mpv.io/`);
+    console.error(`${colors.red}Go to failed:${colors.reset}`, error.message);
     return false;
   }
 }
 
-// Prompt for file
-function promptForFile() {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+// Activate the A/B loop in mpv once both points are set
+async function applyLoop() {
+  if (loopStart === null || loopEnd === null) return false;
+  await player.setProperty('ab-loop-a', loopStart);
+  await player.setProperty('ab-loop-b', loopEnd);
+  console.log(`${colors.green}✓ Loop activated${colors.reset}`);
+  return true;
+}
 
-  return new Promise((resolve) => {
-    rl.question(`${colors.bright}Enter video file path: ${colors.reset}`, (answer) => {
-      rl.close();
-      resolve(answer.trim());
-    });
-  });
+async function clearLoop() {
+  loopStart = null;
+  loopEnd = null;
+  activeLoopIndex = -1;
+  await player.setProperty('ab-loop-a', 'no');
+  await player.setProperty('ab-loop-b', 'no');
+  console.log(`${colors.yellow}Loop cleared${colors.reset}`);
 }
 
-// Show detailed info
-async function showDetailedInfo() {
-  if (!currentVideo) {
-    console.log(`${colors.yellow}No video loaded${colors.reset}`);
-    return;
+// Load the saved loop library for a file from the local store
+function loadSavedLoops(filePath) {
+  activeLoopIndex = -1;
+  try {
+    currentVideoHash = store.hashFile(filePath);
+    const entry = store.readStore('loops')[currentVideoHash];
+    savedLoops = entry ? entry.loops : [];
+    if (savedLoops.length > 0) {
+      console.log(`${colors.green}✓ Restored ${savedLoops.length} saved loop(s)${colors.reset}`);
+    }
+  } catch (error) {
+    currentVideoHash = null;
+    savedLoops = [];
+    console.error(`${colors.red}Could not read saved loops:${colors.reset}`, error.message);
   }
+}
 
-  printHeader();
-  console.log(`${colors.bright}${colors.cyan}═══ Detailed Video Information ═══${colors.reset}`);
-  console.log();
+// Write the current loop library back to the local store
+function persistSavedLoops() {
+  if (!currentVideoHash) return;
+  try {
+    const loops = store.readStore('loops');
+    if (savedLoops.length > 0) {
+      loops[currentVideoHash] = { file: currentVideo.fullPath, loops: savedLoops };
+    } else {
+      delete loops[currentVideoHash];
+    }
+    store.writeStore('loops', loops);
+  } catch (error) {
+    console.error(`${colors.red}Could not save loops:${colors.reset}`, error.message);
+  }
+}
 
+// Load the current file's markers from the local store (keyed like saved loops)
+function loadMarkers() {
+  markers = [];
+  if (!currentVideoHash) return;
   try {
-    const props = {
-      'File': currentVideo.fullPath,
-      'Codec': await player.getProperty('video-codec'),
-      'Format': await player.getProperty('file-format'),
-      'Resolution': `${await player.getProperty('video-params/w')}x${await player.getProperty('video-params/h')}`,
-      'FPS': (await player.getProperty('video-params/fps')).toFixed(2),
-      'Pixel Format': await player.getProperty('video-params/pixelformat'),
-      'Duration': formatTime(await player.getProperty('duration')),
-      'Bitrate': `${((await player.getProperty('video-bitrate')) / 1000000).toFixed(2)} Mbps`,
-      'Current Time': formatTime(await player.getProperty('time-pos')),
-      'Current Frame': await player.getProperty('estimated-frame-number')
-    };
+    const entry = store.readStore('markers')[currentVideoHash];
+    markers = entry ? markerFiles.sortMarkers(entry.markers) : [];
+    if (markers.length > 0) {
+      console.log(`${colors.green}✓ Restored ${markers.length} marker(s)${colors.reset}`);
+    }
+  } catch (error) {
+    console.error(`${colors.red}Could not read markers:${colors.reset}`, error.message);
+  }
+}
 
-    for (const [key, value] of Object.entries(props)) {
-      console.log(`  ${colors.bright}${key}:${colors.reset} ${colors.green}${value}${colors.reset}`);
+function persistMarkers() {
+  if (!currentVideoHash) return;
+  try {
+    const entries = store.readStore('markers');
+    if (markers.length > 0) {
+      entries[currentVideoHash] = { file: currentVideo.fullPath, markers };
+    } else {
+      delete entries[currentVideoHash];
     }
+    store.writeStore('markers', entries);
   } catch (error) {
-    console.error(`${colors.red}Error getting properties:${colors.reset}`, error.message);
+    console.error(`${colors.red}Could not save markers:${colors.reset}`, error.message);
   }
+}
 
-  console.log();
-  console.log(`${colors.cyan}Press Enter to continue...${colors.reset}`);
-  await new Promise(resolve => {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-    rl.question('', () => {
-      rl.close();
-      resolve();
-    });
-  });
+// Apply the current file's saved video adjustments, or the defaults (mpv
+// would otherwise carry the previous file's over). Skipped, like resume
+// state, in scripts and benchmarks.
+async function loadAdjustments() {
+  if (!resumeEnabled) return;
+  let saved = null;
+  try {
+    saved = currentVideoHash ? store.readStore('adjustments')[currentVideoHash] : null;
+  } catch (error) {
+    console.error(`${colors.red}Could not read video adjustments:${colors.reset}`, error.message);
+  }
+  adjustments = { ...videoAdjust.DEFAULT_ADJUSTMENTS, ...(saved && saved.settings) };
+  try {
+    await videoAdjust.applyAdjustments(player, adjustments);
+    if (!videoAdjust.isDefault(adjustments)) {
+      console.log(`${colors.green}✓ Restored video adjustments: ${videoAdjust.describe(adjustments).join(', ')}${colors.reset}`);
+    }
+  } catch (error) {
+    console.error(`${colors.red}Could not apply video adjustments:${colors.reset}`, error.message);
+  }
 }
 
-// Main loop
-async function main() {
-  const initialized = await initialize();
-  if (!initialized) {
-    process.exit(1);
+function persistAdjustments() {
+  if (!currentVideoHash) return;
+  try {
+    const entries = store.readStore('adjustments');
+    if (videoAdjust.isDefault(adjustments)) {
+      delete entries[currentVideoHash];
+    } else {
+      entries[currentVideoHash] = { file: currentVideo.fullPath, settings: adjustments };
+    }
+    store.writeStore('adjustments', entries);
+  } catch (error) {
+    console.error(`${colors.red}Could not save video adjustments:${colors.reset}`, error.message);
   }
+}
 
-  // Setup stdin for keyboard input
-  readline.emitKeypressEvents(process.stdin);
-  if (process.stdin.isTTY) {
-    process.stdin.setRawMode(true);
+// Drop session state for files that no longer exist
+function pruneResumeState(entries) {
+  for (const [hash, entry] of Object.entries(entries)) {
+    if (!entry.file || !fs.existsSync(entry.file)) delete entries[hash];
   }
+  return entries;
+}
 
-  // Display UI
-  printHeader();
-  printStatus(currentVideo);
-  printControls();
+// Save the current file's position, loop, speed, volume and tracks (resume.json,
+// keyed by content hash like the loop library)
+async function saveResumeState() {
+  if (!resumeEnabled || !currentVideo || !currentVideoHash) return;
+  // No position means mpv has nothing loaded; saving would reset the file's resume point to 0
+  const position = propertyCache.get('time-pos');
+  if (!Number.isFinite(position)) return;
+  try {
+    const trackId = async (name) => {
+      const id = await player.getProperty(name).catch(() => null);
+      return id === undefined ? null : id;
+    };
+    const volume = await player.getProperty('volume').catch(() => null);
+    const entries = store.readStore('resume');
+    entries[currentVideoHash] = {
+      file: path.resolve(currentVideo.fullPath),
+      position,
+      paused: propertyCache.get('pause') !== false,
+      speed: propertyCache.get('speed') || 1,
+      volume: volume === undefined ? null : volume,
+      loop: loopStart !== null && loopEnd !== null ? { start: loopStart, end: loopEnd } : null,
+      tracks: { aid: await trackId('aid'), sid: await trackId('sid') },
+      saved: new Date().toISOString()
+    };
+    store.writeStore('resume', pruneResumeState(entries));
+  } catch (error) {
+    console.error(`${colors.red}Could not save resume state:${colors.reset}`, error.message);
+  }
+}
 
-  // Keyboard handler
-  process.stdin.on('keypress', async (str, key) => {
-    if (key.ctrl && key.name === 'c') {
-      console.log(`\n${colors.yellow}Exiting...${colors.reset}`);
-      if (player) await player.quit();
-      process.exit();
-    }
+// Restore the state saved for the file just loaded; a loop left over from the
+// previous file is cleared
+async function restoreResumeState() {
+  if (!resumeEnabled) return;
+  let state = null;
+  try {
+    state = currentVideoHash ? store.readStore('resume')[currentVideoHash] : null;
+  } catch (error) {
+    console.error(`${colors.red}Could not read resume state:${colors.reset}`, error.message);
+  }
 
-    // l - Load video
-    if (key.name === 'l') {
-      const filePath = await promptForFile();
-      if (filePath && fs.existsSync(filePath)) {
-        await loadVideo(filePath);
-        printHeader();
-        printStatus(currentVideo);
-        printControls();
-      } else {
-        console.log(`${colors.red}File not found: ${filePath}${colors.reset}`);
-      }
+  try {
+    if (state && state.loop) {
+      loopStart = state.loop.start;
+      loopEnd = state.loop.end;
+      await applyLoop();
+    } else if (loopStart !== null || loopEnd !== null) {
+      await clearLoop();
     }
+    if (!state) return;
 
-    if (!currentVideo) return;
-
-    // Space - Toggle pause
-    if (key.name === 'space') {
-      await player.togglePause();
-      console.log(`${colors.cyan}Toggled pause${colors.reset}`);
+    await player.setProperty('speed', state.speed || 1);
+    if (state.volume !== null) await player.setProperty('volume', state.volume);
+    for (const [name, id] of Object.entries(state.tracks || {})) {
+      // mpv reports a disabled track as false; the track may also be gone
+      if (id !== null) await player.setProperty(name, id === false ? 'no' : id).catch(() => {});
     }
+    await player.setProperty('pause', state.paused);
 
-    // Left arrow - Seek back
-    if (key.name === 'left') {
-      await player.seek(-5, 'relative');
-      console.log(`${colors.cyan}Seeked -5s${colors.reset}`);
+    const nearEnd = currentVideo.duration && state.position > currentVideo.duration - RESUME_END_MARGIN;
+    if (state.position > 0 && !nearEnd) {
+      await player.command('seek', [state.position, 'absolute+exact']);
+      console.log(`${colors.green}↺ Resumed at ${formatPosition(state.position, currentVideo.fps)} - press 0 to start from the beginning${colors.reset}`);
     }
+  } catch (error) {
+    console.error(`${colors.red}Could not restore session state:${colors.reset}`, error.message);
+  }
+}
 
-    // Right arrow - Seek forward
-    if (key.name === 'right') {
-      await player.seek(5, 'relative');
-      console.log(`${colors.cyan}Seeked +5s${colors.reset}`);
-    }
+// Read VidVuR loops from the container's comment tag and offer them in the loop library.
+// Each loop is imported once per file (comment-imports.json), so loops the user
+// deleted stay deleted. Skipped, like resume state, in scripts and benchmarks.
+async function importCommentLoops() {
+  commentPayload = null;
+  if (!resumeEnabled) return;
+  let metadata;
+  try {
+    metadata = await player.getProperty('metadata');
+  } catch (error) {
+    console.error(`${colors.red}Could not read metadata:${colors.reset}`, error.message);
+    return;
+  }
 
-    // [ - Frame back
-    if (str === '[') {
-      await frameStep('backward');
-    }
+  const parsed = vidvurMetadata.parseLoopComment(metadata);
+  if (parsed.status === 'none') return;
 
-    // ] - Frame forward
-    if (str === ']') {
-      await frameStep('forward');
-    }
+  if (parsed.status !== 'loops') {
+    const label = parsed.status === 'foreign' ? 'Foreign comment tag' : 'Malformed VidVuR loop data';
+    console.log(`${colors.yellow}⚠ ${label} (not imported):${colors.reset}`);
+  } else if (parsed.problems.length > 0) {
+    console.log(`${colors.yellow}⚠ Skipped ${parsed.problems.length} invalid loop(s) in comment tag:${colors.reset}`);
+  }
+  parsed.problems.forEach(problem => console.log(`  ${colors.yellow}${problem}${colors.reset}`));
 
-    // s - Set loop start
-    if (str === 's') {
-      loopStart = await player.getProperty('time-pos');
-      console.log(`${colors.green}Loop start set: ${formatTime(loopStart)}${colors.reset}`);
-      if (loopEnd !== null) {
-        await player.setProperty('ab-loop-a', loopStart);
-        await player.setProperty('ab-loop-b', loopEnd);
-        console.log(`${colors.green}✓ Loop activated${colors.reset}`);
-      }
-    }
+  if (parsed.status !== 'loops') return;
+  commentPayload = parsed.payload;
+  if (!currentVideoHash) return;
 
-    // f - Set loop end
-    if (str === 'f') {
-      loopEnd = await player.getProperty('time-pos');
-      console.log(`${colors.green}Loop end set: ${formatTime(loopEnd)}${colors.reset}`);
-      if (loopStart !== null) {
-        await player.setProperty('ab-loop-a', loopStart);
-        await player.setProperty('ab-loop-b', loopEnd);
-        console.log(`${colors.green}✓ Loop activated${colors.reset}`);
-      }
-    }
+  const loopKey = (loop) => `${loop.start}-${loop.end}`;
+  let imports;
+  try {
+    imports = store.readStore('comment-imports');
+  } catch (error) {
+    console.error(`${colors.red}Could not read imported loops:${colors.reset}`, error.message);
+    return;
+  }
+  const imported = new Set(imports[currentVideoHash] ? imports[currentVideoHash].loops : []);
+  const added = parsed.loops.filter(loop =>
+    !imported.has(loopKey(loop)) &&
+    !savedLoops.some(saved => saved.start === loop.start && saved.end === loop.end)
+  );
+  if (added.length > 0) {
+    savedLoops.push(...added);
+    persistSavedLoops();
+  }
+  parsed.loops.forEach(loop => imported.add(loopKey(loop)));
+  try {
+    imports[currentVideoHash] = { file: currentVideo.fullPath, loops: [...imported] };
+    store.writeStore('comment-imports', imports);
+  } catch (error) {
+    console.error(`${colors.red}Could not save imported loops:${colors.reset}`, error.message);
+  }
+  console.log(`${colors.green}✓ Found ${parsed.loops.length} VidVuR loop(s) in comment tag (${added.length} new) - press ,/. to activate${colors.reset}`);
+}
 
-    // b - Clear loop
-    if (str === 'b') {
-      loopStart = null;
-      loopEnd = null;
-      await player.setProperty('ab-loop-a', 'no');
-      await player.setProperty('ab-loop-b', 'no');
-      console.log(`${colors.yellow}Loop cleared${colors.reset}`);
-    }
+// Write the loop library into a copy of the current file in VidVuR's comment format
+async function exportCommentLoops() {
+  if (savedLoops.length === 0) {
+    console.log(`${colors.yellow}No saved loops to write${colors.reset}`);
+    return;
+  }
 
-    // i - Show info
-    if (str === 'i') {
-      await showDetailedInfo();
-      printHeader();
-      printStatus(currentVideo);
-      printControls();
-    }
+  const { dir, name, ext } = path.parse(currentVideo.fullPath);
+  const defaultPath = path.join(dir, `${name}.loops${ext}`);
+  const destPath = (await promptForInput(`Write copy to [${defaultPath}]: `)) || defaultPath;
+  if (path.resolve(destPath) === path.resolve(currentVideo.fullPath)) {
+    console.log(`${colors.red}Refusing to overwrite the source file${colors.reset}`);
+    return;
+  }
 
-    // r - Reset metrics
-    if (str === 'r') {
-      forwardStepTimes = [];
-      backwardStepTimes = [];
-      console.log(`${colors.yellow}Performance metrics reset${colors.reset}`);
-      printHeader();
-      printStatus(currentVideo);
-      printControls();
-    }
+  try {
+    console.log(`${colors.yellow}Writing ${savedLoops.length} loop(s) to ${destPath}...${colors.reset}`);
+    await vidvurMetadata.writeLoopsToCopy(currentVideo.fullPath, destPath, savedLoops, commentPayload);
+    console.log(`${colors.green}✓ Wrote ${destPath}${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Failed to write loops:${colors.reset}`, error.message);
+  }
+}
 
-    // q - Quit
-    if (str === 'q') {
-      console.log(`\n${colors.yellow}Quitting...${colors.reset}`);
-      if (player) await player.quit();
-      process.exit();
-    }
-  });
+// Save the displayed frame as a PNG named after its frame number and timecode
+async function saveStill(mode) {
+  try {
+    await player.pause();
+    const still = await capture.captureStill(player, {
+      prefix: path.parse(currentVideo.filename).name,
+      fps: currentVideo.fps,
+      mode
+    });
+    console.log(`${colors.green}✓ Saved ${still.file} (frame ${still.frame} | ${still.timecode})${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Screenshot failed:${colors.reset}`, error.message);
+  }
+}
 
-  // Check for command line argument (video file)
-  if (process.argv[2]) {
-    const filePath = process.argv[2];
-    if (fs.existsSync(filePath)) {
-      await loadVideo(filePath);
-      printHeader();
-      printStatus(currentVideo);
-      printControls();
-    } else {
-      console.log(`${colors.red}File not found: ${filePath}${colors.reset}`);
+// Export every Nth frame between the A and B points as numbered PNGs plus manifest.json
+async function exportFrames() {
+  if (loopStart === null || loopEnd === null) {
+    console.log(`${colors.yellow}Set loop start (s) and end (f) first${colors.reset}`);
+    return;
+  }
+  const fps = currentVideo.fps;
+  if (!fps) {
+    console.log(`${colors.red}Frame rate unknown - cannot export frames${colors.reset}`);
+    return;
+  }
+
+  const every = parseInt(await promptForInput('Export every Nth frame [1]: '), 10) || 1;
+  const withOverlays = /^y/i.test(await promptForInput('Include subtitles and OSD? [y/N]: '));
+  const startFrame = timecode.secondsToFrame(loopStart, fps);
+  const endFrame = timecode.secondsToFrame(loopEnd, fps);
+  const name = path.parse(currentVideo.filename).name;
+  const dir = path.join(capture.CAPTURE_DIR, `${name}_frames_f${startFrame}-f${endFrame}`);
+  const total = Math.floor((endFrame - startFrame) / every) + 1;
+
+  console.log(`${colors.yellow}Exporting ${total} frame(s) to ${dir}/...${colors.reset}`);
+  let reported = 0;
+  try {
+    await player.pause();
+    // The A-B loop would jump back to A when stepping onto B
+    await player.setProperty('ab-loop-a', 'no');
+    await player.setProperty('ab-loop-b', 'no');
+    const manifest = await capture.exportSequence(player, {
+      dir,
+      prefix: name,
+      fps,
+      startFrame,
+      endFrame,
+      every,
+      mode: withOverlays ? 'window' : 'video',
+      source: currentVideo.fullPath,
+      onProgress: (done) => {
+        const percent = Math.floor(done / total * 10) * 10;
+        if (percent > reported || done === total) {
+          reported = percent;
+          console.log(`${colors.cyan}  ${done}/${total} (${percent}%)${colors.reset}`);
+        }
+      }
+    });
+    const missed = manifest.frames.filter(frame => frame.requestedFrame !== undefined).length;
+    if (missed > 0) {
+      console.log(`${colors.yellow}⚠ ${missed} frame(s) could not be shown exactly - see requestedFrame in the manifest${colors.reset}`);
     }
+    console.log(`${colors.green}✓ Wrote ${manifest.frames.length} image(s) and ${path.join(dir, 'manifest.json')}${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Frame export failed:${colors.reset}`, error.message);
+  } finally {
+    await player.setProperty('ab-loop-a', loopStart).catch(() => {});
+    await player.setProperty('ab-loop-b', loopEnd).catch(() => {});
   }
 }
 
-// Handle errors
-process.on('uncaughtException', async (error) => {
-  console.error(`${colors.red}Uncaught error:${colors.reset}`, error);
-  if (player) {
-    try {
-      await player.quit();
-    } catch (e) {
-      // Ignore
-    }
+// Warn when a stream copy would start before A; returns false if the user backs out
+async function confirmKeyframeStart() {
+  let keyframe;
+  try {
+    keyframe = await clipExport.findKeyframeBefore(currentVideo.fullPath, loopStart);
+  } catch (error) {
+    console.log(`${colors.yellow}⚠ Could not check keyframes (${error.message}) - the clip may start before A${colors.reset}`);
+    return true;
   }
-  process.exit(1);
-});
 
-// Run
-main().catch(async (error) => {
-  console.error(`${colors.red}Fatal error:${colors.reset}`, error);
-  if (player) {
-    try {
-      await player.quit();
-    } catch (e) {
-      // Ignore
-    }
+  if (keyframe === null) {
+    console.log(`${colors.yellow}⚠ No keyframe found in the minute before A - the clip may start well before it${colors.reset}`);
+  } else if (loopStart - keyframe > clipExport.KEYFRAME_TOLERANCE) {
+    console.log(`${colors.yellow}⚠ Stream copy starts at the previous keyframe: ${formatPosition(keyframe, currentVideo.fps)}${colors.reset}`);
+    console.log(`${colors.yellow}  That is ${(loopStart - keyframe).toFixed(3)}s before A - re-encode for a frame-exact start${colors.reset}`);
+  } else {
+    return true;
+  }
+  return !/^n/i.test(await promptForInput('Export anyway? [Y/n]: '));
+}
+
+// Write the A-B range to a new file with FFmpeg
+async function exportLoopClip() {
+  if (loopStart === null || loopEnd === null) {
+    console.log(`${colors.yellow}Set loop start (s) and end (f) first${colors.reset}`);
+    return;
   }
-  process.exit(1);
-});
+
+  const mode = /^e/i.test(await promptForInput('Mode - (c)opy, keyframe-aligned, or (e)ncode, frame-exact [c]: ')) ? 'encode' : 'copy';
+  let codec;
+  let container;
+  try {
+    if (mode === 'encode') {
+      const codecs = Object.keys(clipExport.ENCODE_PRESETS);
+      codec = (await promptForInput(`Codec (${codecs.join(', ')}) [h264]: `)) || 'h264';
+      const containers = (clipExport.ENCODE_PRESETS[codec] || { containers: ['mp4'] }).containers;
+      container = (await promptForInput(`Container (${containers.join(', ')}) [${containers[0]}]: `)) || containers[0];
+      clipExport.validateExport({ mode, codec, container });
+    } else if (!(await confirmKeyframeStart())) {
+      console.log(`${colors.yellow}Export cancelled${colors.reset}`);
+      return;
+    }
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    return;
+  }
+
+  const defaultPath = clipExport.defaultClipPath(currentVideo.fullPath, loopStart, loopEnd, container);
+  const destPath = (await promptForInput(`Write clip to [${defaultPath}]: `)) || defaultPath;
+  if (path.resolve(destPath) === path.resolve(currentVideo.fullPath)) {
+    console.log(`${colors.red}Refusing to overwrite the source file${colors.reset}`);
+    return;
+  }
+
+  console.log(`${colors.yellow}Exporting ${formatTime(loopStart)} - ${formatTime(loopEnd)} (${mode === 'copy' ? 'stream copy' : codec})...${colors.reset}`);
+  const startTime = Date.now();
+  let reported = -1;
+  try {
+    await clipExport.exportClip(currentVideo.fullPath, destPath, {
+      start: loopStart,
+      end: loopEnd,
+      mode,
+      codec,
+      onProgress: (fraction) => {
+        const percent = Math.floor(fraction * 10) * 10;
+        if (percent > reported) {
+          reported = percent;
+          console.log(`${colors.cyan}  ${percent}%${colors.reset}`);
+        }
+      }
+    });
+    console.log(`${colors.green}✓ Wrote ${destPath} in ${((Date.now() - startTime) / 1000).toFixed(1)}s${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Clip export failed:${colors.reset}`, error.message);
+  }
+}
+
+// Select the next audio or subtitle track; subtitles cycle through "off" too
+async function cycleTrack(type) {
+  const trackList = propertyCache.get('track-list');
+  const next = tracks.nextTrackId(trackList, type, type === 'sub');
+  const label = tracks.TYPE_LABELS[type];
+  if (next === null) {
+    console.log(`${colors.yellow}No other ${label.toLowerCase()} tracks${colors.reset}`);
+    return;
+  }
+  try {
+    await player.setProperty(type === 'audio' ? 'aid' : 'sid', next);
+    const track = tracks.tracksOfType(trackList, type).find(candidate => candidate.id === next);
+    console.log(`${colors.cyan}${label}: ${track ? tracks.describeTrack(track) : 'off'}${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Could not switch ${label.toLowerCase()} track:${colors.reset}`, error.message);
+  }
+}
+
+async function subtitlesOff() {
+  await player.setProperty('sid', 'no');
+  console.log(`${colors.cyan}Subtitles off${colors.reset}`);
+}
+
+// Add an external subtitle file and select it; prompts when no file is given
+async function loadSubtitleFile(input) {
+  if (input === undefined) {
+    input = await promptForInput('Subtitle file: ', line => mediaFiles.completePath(line, tracks.SUBTITLE_EXTENSIONS));
+  }
+  if (!input) return;
+  const filePath = path.resolve(mediaFiles.expandHome(input));
+  if (!fs.existsSync(filePath)) {
+    console.log(`${colors.red}File not found: ${input}${colors.reset}`);
+    return;
+  }
+  try {
+    await player.command('sub-add', [filePath, 'select']);
+    console.log(`${colors.green}✓ Loaded subtitles: ${path.basename(filePath)}${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Could not load subtitles:${colors.reset}`, error.message);
+  }
+}
+
+async function adjustSubDelay(delta) {
+  try {
+    const delay = Math.round(((propertyCache.get('sub-delay') || 0) + delta) * 1000) / 1000;
+    await player.setProperty('sub-delay', delay);
+    console.log(`${colors.cyan}Subtitle delay: ${(delay * 1000).toFixed(0)}ms${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Could not change subtitle delay:${colors.reset}`, error.message);
+  }
+}
+
+// Drop a labelled marker at the current position; prompts when no label is given
+async function addMarker(label) {
+  try {
+    const time = await player.getProperty('time-pos');
+    if (label === undefined) {
+      label = (await promptForInput(`Marker label [Marker ${markers.length + 1}]: `)) || `Marker ${markers.length + 1}`;
+    }
+    markers.push({ time, label });
+    markerFiles.sortMarkers(markers);
+    persistMarkers();
+    console.log(`${colors.green}✓ Marker "${label}" at ${formatPosition(time, currentVideo.fps)}${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Could not add marker:${colors.reset}`, error.message);
+  }
+}
+
+// Exact seek to the next (1) or previous (-1) marker
+async function jumpToMarker(direction) {
+  if (markers.length === 0) {
+    console.log(`${colors.yellow}No markers - press k to add one${colors.reset}`);
+    return;
+  }
+  try {
+    const marker = markerFiles.adjacentMarker(markers, await player.getProperty('time-pos'), direction);
+    if (!marker) {
+      console.log(`${colors.yellow}No ${direction > 0 ? 'later' : 'earlier'} marker${colors.reset}`);
+      return;
+    }
+    await player.command('seek', [marker.time, 'absolute+exact']);
+    console.log(`${colors.cyan}Marker "${marker.label}": ${formatPosition(marker.time, currentVideo.fps)}${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Marker seek failed:${colors.reset}`, error.message);
+  }
+}
+
+// Write markers as an FFMETADATA or WebVTT chapter file
+function exportMarkers(format, file) {
+  const { dir, name } = path.parse(currentVideo.fullPath);
+  const vtt = format === 'vtt';
+  const destPath = file || path.join(dir, `${name}.chapters.${vtt ? 'vtt' : 'txt'}`);
+  try {
+    const content = vtt ?
+      markerFiles.toWebVTT(markers, currentVideo.duration) :
+      markerFiles.toFFmetadata(markers, currentVideo.duration);
+    fs.writeFileSync(destPath, content);
+    console.log(`${colors.green}✓ Wrote ${markers.length} chapter(s) to ${destPath}${colors.reset}`);
+    if (!vtt) {
+      console.log(`  Mux with: ffmpeg -i "${currentVideo.fullPath}" -i "${destPath}" -map 0 -map_metadata 1 -map_chapters 1 -c copy out${path.extname(currentVideo.fullPath)}`);
+    }
+    return true;
+  } catch (error) {
+    console.error(`${colors.red}Could not write chapters:${colors.reset}`, error.message);
+    return false;
+  }
+}
+
+async function manageMarkers() {
+  while (true) {
+    printHeader();
+    console.log(`${colors.bright}${colors.cyan}═══ Markers ═══${colors.reset}`);
+    console.log();
+
+    if (markers.length === 0) {
+      console.log(`  ${colors.yellow}No markers for this video${colors.reset}`);
+    }
+    markers.forEach((marker, i) => {
+      console.log(`  ${i + 1}. ${marker.label} (${formatPosition(marker.time, currentVideo.fps)})`);
+    });
+
+    console.log();
+    console.log(`${colors.cyan}Commands: <n> jump | label <n> <text> | time <n> [position] | delete <n> | export ffmetadata|vtt [file] | Enter to return${colors.reset}`);
+    const answer = await promptForInput('> ');
+    if (!answer) return;
+
+    const [command, ...args] = answer.split(/\s+/);
+    if (command === 'export') {
+      if (markers.length === 0 || !['ffmetadata', 'vtt'].includes(args[0])) {
+        console.log(`${colors.red}${markers.length === 0 ? 'No markers to export' : 'Usage: export ffmetadata|vtt [file]'}${colors.reset}`);
+      } else {
+        exportMarkers(args[0], args.slice(1).join(' '));
+      }
+      await promptForInput('Press Enter to continue...');
+      continue;
+    }
+
+    const index = parseInt(/^\d+$/.test(command) ? command : args[0], 10) - 1;
+    const marker = markers[index];
+    if (!marker) {
+      await showMenuError('No such marker');
+      continue;
+    }
+
+    if (/^\d+$/.test(command)) {
+      await player.command('seek', [marker.time, 'absolute+exact']);
+      return;
+    } else if (command === 'label' && args.length > 1) {
+      marker.label = args.slice(1).join(' ');
+    } else if (command === 'time') {
+      // Without a position, move the marker to the playhead
+      try {
+        marker.time = args.length > 1 ?
+          timecode.parsePosition(args.slice(1).join(' '), currentVideo.fps).seconds :
+          await player.getProperty('time-pos');
+      } catch (error) {
+        await showMenuError(error.message);
+        continue;
+      }
+      markerFiles.sortMarkers(markers);
+    } else if (command === 'delete') {
+      markers.splice(index, 1);
+    } else {
+      await showMenuError(`Unknown command: ${answer}`);
+      continue;
+    }
+    persistMarkers();
+  }
+}
+
+// Previous/next chapter through mpv's chapter property
+async function stepChapter(delta) {
+  const chapters = propertyCache.get('chapter-list') || [];
+  if (chapters.length === 0) {
+    console.log(`${colors.yellow}No chapters in this file${colors.reset}`);
+    return;
+  }
+  try {
+    await player.command('add', ['chapter', delta]);
+  } catch (error) {
+    // mpv refuses to move past the last chapter
+    console.log(`${colors.yellow}No ${delta > 0 ? 'next' : 'previous'} chapter${colors.reset}`);
+  }
+}
+
+// Scrollable chapter list; Enter jumps to the chapter
+async function chooseChapter() {
+  const chapters = propertyCache.get('chapter-list') || [];
+  if (chapters.length === 0) {
+    console.log(`${colors.yellow}No chapters in this file${colors.reset}`);
+    return;
+  }
+  const items = chapters.map((chapter, i) =>
+    `${String(i + 1).padStart(2)}. ${chapter.title || `Chapter ${i + 1}`} (${formatPosition(chapter.time, currentVideo.fps)})`
+  );
+  const index = await chooseFromList('Chapters', items, propertyCache.get('chapter') || 0);
+  if (index >= 0) {
+    await player.setProperty('chapter', index);
+    console.log(`${colors.cyan}${items[index].trim()}${colors.reset}`);
+  }
+}
+
+// Step to the previous (-1) or next (1) speed preset
+async function stepSpeed(direction) {
+  const speed = practice.nextPreset(propertyCache.get('speed') || 1, direction);
+  try {
+    await player.setProperty('speed', speed);
+    console.log(`${colors.cyan}Speed: ${speed}x${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Could not set speed:${colors.reset}`, error.message);
+  }
+}
+
+async function togglePitchCorrection() {
+  const enabled = propertyCache.get('audio-pitch-correction') === false;
+  try {
+    await player.setProperty('audio-pitch-correction', enabled);
+    console.log(`${colors.cyan}Pitch correction ${enabled ? 'on' : 'off'}${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}Could not change pitch correction:${colors.reset}`, error.message);
+  }
+}
+
+// Show the active video adjustments in the terminal and on mpv's OSD
+function showAdjustments() {
+  const parts = videoAdjust.describe(adjustments);
+  const text = parts.length > 0 ? parts.join(', ') : 'no adjustments';
+  console.log(`${colors.cyan}Video: ${text}${colors.reset}`);
+  player.command('show-text', [`Video: ${text}`, 2000]).catch(() => {});
+}
+
+// Change one adjustment (see video-adjust.js), apply it and save it for this file
+async function changeAdjustment(name, delta) {
+  const next = videoAdjust.adjust(adjustments, name, delta);
+  try {
+    await videoAdjust.applyAdjustment(player, next, name);
+    adjustments = next;
+    persistAdjustments();
+    showAdjustments();
+  } catch (error) {
+    console.error(`${colors.red}Could not adjust video:${colors.reset}`, error.message);
+  }
+}
+
+async function resetAdjustments() {
+  try {
+    adjustments = { ...videoAdjust.DEFAULT_ADJUSTMENTS };
+    await videoAdjust.applyAdjustments(player, adjustments);
+    persistAdjustments();
+    showAdjustments();
+  } catch (error) {
+    console.error(`${colors.red}Could not reset video adjustments:${colors.reset}`, error.message);
+  }
+}
+
+// Ask for ramp settings (Enter keeps the value in brackets) and start
+// practising the active A/B loop from A at the start speed
+async function startPractice() {
+  const loopA = propertyCache.get('ab-loop-a');
+  const loopB = propertyCache.get('ab-loop-b');
+  if (typeof loopA !== 'number' || typeof loopB !== 'number') {
+    console.log(`${colors.yellow}Set an A/B loop first (s and f)${colors.reset}`);
+    return;
+  }
+
+  const ask = async (question, value) => {
+    const answer = await promptForInput(`${question} [${value}]: `);
+    return answer ? Number(answer) : value;
+  };
+  const settings = {
+    start: await ask('Start speed', practiceSettings.start),
+    step: await ask('Speed step', practiceSettings.step),
+    target: await ask('Target speed', practiceSettings.target),
+    every: await ask('Loops per step', practiceSettings.every)
+  };
+
+  try {
+    practice.validateRamp(settings);
+    practiceSettings = settings;
+    const previousSpeed = propertyCache.get('speed') || 1;
+    await player.setProperty('speed', settings.start);
+    // Start counting after the seek, so the jump to A is not taken for a wrap
+    await player.command('seek', [loopA, 'absolute+exact']);
+    practiceSession = { settings, loopA, loopB, iterations: 0, lastPosition: null, previousSpeed };
+    console.log(`${colors.green}✓ Practice started at ${settings.start}x${colors.reset}`);
+  } catch (error) {
+    console.log(`${colors.red}${error.message}${colors.reset}`);
+  }
+}
+
+// End practice and go back to the speed from before it started
+async function stopPractice(reason) {
+  const session = practiceSession;
+  practiceSession = null;
+  console.log(`${colors.yellow}Practice stopped${reason ? ` (${reason})` : ''} after ${session.iterations} loop(s)${colors.reset}`);
+  try {
+    await player.setProperty('speed', session.previousSpeed);
+  } catch (error) {
+    console.error(`${colors.red}Could not restore speed:${colors.reset}`, error.message);
+  }
+}
+
+// Property cache listener: counts loop wraps from time-pos and ramps the
+// speed; a changed loop restarts the count and a cleared loop ends practice
+function trackPractice(name, value) {
+  if (!practiceSession) return;
+
+  if (name === 'ab-loop-a' || name === 'ab-loop-b') {
+    const loopA = propertyCache.get('ab-loop-a');
+    const loopB = propertyCache.get('ab-loop-b');
+    if (typeof loopA !== 'number' || typeof loopB !== 'number') {
+      stopPractice('loop cleared');
+      return;
+    }
+    if (loopA === practiceSession.loopA && loopB === practiceSession.loopB) return;
+    // Setting a new loop changes A and B one at a time; only report the first
+    if (practiceSession.iterations > 0) {
+      console.log(`${colors.yellow}Loop changed - practice restarted at ${practiceSession.settings.start}x${colors.reset}`);
+    }
+    Object.assign(practiceSession, { loopA, loopB, iterations: 0, lastPosition: null });
+    player.setProperty('speed', practiceSession.settings.start).catch(() => {});
+    return;
+  }
+
+  if (name !== 'time-pos') return;
+  const previous = practiceSession.lastPosition;
+  practiceSession.lastPosition = value;
+  if (!practice.isLoopWrap(previous, value, practiceSession.loopA, practiceSession.loopB)) return;
+
+  practiceSession.iterations++;
+  const speed = practice.rampSpeed(practiceSession.settings, practiceSession.iterations);
+  if (speed !== propertyCache.get('speed')) {
+    console.log(`${colors.green}↺ Loop ${practiceSession.iterations} done - speed ${speed}x${colors.reset}`);
+    player.setProperty('speed', speed).catch((error) => {
+      console.error(`${colors.red}Could not set speed:${colors.reset}`, error.message);
+    });
+  }
+}
+
+// Save the current A/B pair as a named loop
+function saveCurrentLoop(name) {
+  if (loopStart === null || loopEnd === null) {
+    console.log(`${colors.yellow}Set loop start (A) and end (B) first${colors.reset}`);
+    return false;
+  }
+  savedLoops.push({
+    start: Math.min(loopStart, loopEnd),
+    end: Math.max(loopStart, loopEnd),
+    name: name || `Loop ${savedLoops.length + 1}`
+  });
+  activeLoopIndex = savedLoops.length - 1;
+  persistSavedLoops();
+  console.log(`${colors.green}✓ Saved loop: ${savedLoops[activeLoopIndex].name}${colors.reset}`);
+  return true;
+}
+
+// Activate a saved loop through mpv's native A/B loop
+async function activateLoop(index) {
+  const loop = savedLoops[index];
+  if (!loop) return;
+
+  loopStart = loop.start;
+  loopEnd = loop.end;
+  activeLoopIndex = index;
+  await player.setProperty('ab-loop-a', loopStart);
+  await player.setProperty('ab-loop-b', loopEnd);
+  await player.seek(loopStart, 'absolute');
+  console.log(`${colors.green}✓ Loop ${index + 1}/${savedLoops.length}: ${loop.name} (${formatTime(loop.start)} - ${formatTime(loop.end)})${colors.reset}`);
+}
+
+// Activate the next (+1) or previous (-1) saved loop, wrapping around
+async function cycleLoop(delta) {
+  if (savedLoops.length === 0) {
+    console.log(`${colors.yellow}No saved loops${colors.reset}`);
+    return;
+  }
+  const start = activeLoopIndex < 0 && delta < 0 ? 0 : activeLoopIndex;
+  const index = (start + delta + savedLoops.length) % savedLoops.length;
+  await activateLoop(index);
+}
+
+// Show an error in a menu loop until Enter, before the next redraw clears the screen
+async function showMenuError(message) {
+  console.log(`${colors.red}${message}${colors.reset}`);
+  await promptForInput('Press Enter to continue...');
+}
+
+// Saved loop manager: list, rename, delete, reorder and activate
+async function manageLoops() {
+  while (true) {
+    printHeader();
+    console.log(`${colors.bright}${colors.cyan}═══ Saved Loops ═══${colors.reset}`);
+    console.log();
+
+    if (savedLoops.length === 0) {
+      console.log(`  ${colors.yellow}No saved loops for this video${colors.reset}`);
+    }
+    savedLoops.forEach((loop, i) => {
+      const marker = i === activeLoopIndex ? `${colors.green}▶` : ' ';
+      console.log(`  ${marker} ${i + 1}. ${loop.name}${colors.reset} (${formatTime(loop.start)} - ${formatTime(loop.end)})`);
+    });
+
+    console.log();
+    console.log(`${colors.cyan}Commands: <n> activate | rename <n> <name> | delete <n> | move <n> <to> | Enter to return${colors.reset}`);
+    const answer = await promptForInput('> ');
+    if (!answer) return;
+
+    const [command, ...args] = answer.split(/\s+/);
+    const index = parseInt(/^\d+$/.test(command) ? command : args[0], 10) - 1;
+    if (!savedLoops[index]) {
+      await showMenuError('No such loop');
+      continue;
+    }
+
+    if (/^\d+$/.test(command)) {
+      await activateLoop(index);
+      return;
+    } else if (command === 'rename' && args.length > 1) {
+      savedLoops[index].name = args.slice(1).join(' ');
+    } else if (command === 'delete') {
+      savedLoops.splice(index, 1);
+      if (activeLoopIndex === index) activeLoopIndex = -1;
+      else if (activeLoopIndex > index) activeLoopIndex--;
+    } else if (command === 'move' && args.length > 1) {
+      const to = /^\d+$/.test(args[1]) ? parseInt(args[1], 10) - 1 : -1;
+      if (to < 0 || to >= savedLoops.length) {
+        await showMenuError(`Move to a position from 1 to ${savedLoops.length}`);
+        continue;
+      }
+      const active = savedLoops[activeLoopIndex];
+      const [loop] = savedLoops.splice(index, 1);
+      savedLoops.splice(to, 0, loop);
+      activeLoopIndex = savedLoops.indexOf(active);
+    } else {
+      await showMenuError(`Unknown command: ${answer}`);
+      continue;
+    }
+    persistSavedLoops();
+  }
+}
+
+// Default mpv options; extra options passed after '--' are appended and win
+const MPV_ARGS = [
+  '--hr-seek=yes',
+  '--hr-seek-framedrop=no',
+  '--demuxer-max-back-bytes=100M',
+  '--cache=yes',
+  '--no-osd-bar',
+  '--idle=yes'
+];
+
+// Initialize mpv; mpvOptions override node-mpv options (tests pass a fake mpv's socket)
+async function initialize(extraArgs = [], mpvOptions = {}) {
+  printHeader();
+  console.log(`${colors.yellow}Initializing mpv player...${colors.reset}`);
+
+  try {
+    player = new mpv({
+      audio_only: false,
+      time_update: 100,
+      verbose: false,
+      ...mpvOptions
+    }, [...MPV_ARGS, ...extraArgs]);
+
+    await player.start();
+    console.log(`${colors.green}✓ mpv initialized successfully${colors.reset}`);
+    console.log();
+
+    // Mirror state into the property cache and redraw the status line on changes
+    propertyCache = createPropertyCache(player, OBSERVED_PROPERTIES);
+    await propertyCache.observe();
+    propertyCache.on('change', scheduleStatusLine);
+    propertyCache.on('change', trackPractice);
+
+    return true;
+  } catch (error) {
+    console.error(`${colors.red}✗ Failed to initialize mpv:${colors.reset}`, error.message);
+    console.log();
+    console.log(`${colors.yellow}Make sure mpv is installed:${colors.reset}`);
+    console.log(`  macOS: brew install mpv`);
+    console.log(`  Ubuntu/Debian: sudo apt-get install mpv`);
+    console.log(`  Windows: Download from https://mpv.io/`);
+    return false;
+  }
+}
+
+// Restore raw mode and resume stdin, which closing a readline interface turns off
+function resumeKeyInput() {
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+  }
+  process.stdin.resume();
+}
+
+// Prompt for a line of input; the status line pauses so it cannot overwrite the prompt.
+// completer is an optional readline completer for Tab.
+function promptForInput(question, completer) {
+  clearStatusLine();
+  statusLineSuspended = true;
+  inputCaptured = true;
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer
+  });
+
+  return new Promise((resolve) => {
+    rl.question(`${colors.bright}${question}${colors.reset}`, (answer) => {
+      rl.close();
+      resumeKeyInput();
+      inputCaptured = false;
+      statusLineSuspended = false;
+      scheduleStatusLine();
+      resolve(answer.trim());
+    });
+  });
+}
+
+// Prompt for a file or folder, with Tab completion of paths
+function promptForFile() {
+  return promptForInput('Enter video file or folder path: ', mediaFiles.completePath);
+}
+
+// Pick an entry with ↑/↓, PgUp/PgDn, Home/End and Enter; Esc or q cancels.
+// Resolves with the chosen index, or -1.
+function chooseFromList(title, items, selected = 0) {
+  clearStatusLine();
+  statusLineSuspended = true;
+  inputCaptured = true;
+  const rows = Math.max(5, Math.min(items.length, (process.stdout.rows || 24) - 6));
+  let cursor = Math.min(Math.max(selected, 0), items.length - 1);
+  let top = 0;
+  let drawn = 0;
+
+  function render() {
+    top = Math.min(Math.max(top, cursor - rows + 1), cursor);
+    if (drawn > 0) {
+      readline.moveCursor(process.stdout, 0, -drawn);
+      readline.clearScreenDown(process.stdout);
+    }
+    const lines = [`${colors.bright}${colors.cyan}${title}${colors.reset} (${cursor + 1}/${items.length})`];
+    for (let i = top; i < Math.min(top + rows, items.length); i++) {
+      lines.push(i === cursor ? `${colors.green}> ${items[i]}${colors.reset}` : `  ${items[i]}`);
+    }
+    lines.push(`${colors.yellow}↑/↓ move, PgUp/PgDn page, Enter open, Esc cancel${colors.reset}`);
+    process.stdout.write(`${lines.join('\n')}\n`);
+    drawn = lines.length;
+  }
+
+  return new Promise((resolve) => {
+    const onKeypress = (str, key = {}) => {
+      const moves = { up: -1, down: 1, pageup: -rows, pagedown: rows, home: -items.length, end: items.length };
+      if (key.name in moves) {
+        cursor = Math.min(Math.max(cursor + moves[key.name], 0), items.length - 1);
+        render();
+      } else if (key.name === 'return' || key.name === 'enter') {
+        finish(cursor);
+      } else if (key.name === 'escape' || str === 'q') {
+        finish(-1);
+      }
+    };
+    function finish(index) {
+      process.stdin.removeListener('keypress', onKeypress);
+      inputCaptured = false;
+      statusLineSuspended = false;
+      scheduleStatusLine();
+      resolve(index);
+    }
+    resumeKeyInput();
+    process.stdin.on('keypress', onKeypress);
+    render();
+  });
+}
+
+// Recently opened files that still exist, most recent first
+function readRecentFiles() {
+  try {
+    return (store.readStore('recent').files || []).filter(file => fs.existsSync(file));
+  } catch (error) {
+    console.error(`${colors.red}Could not read recent files:${colors.reset}`, error.message);
+    return [];
+  }
+}
+
+function rememberRecentFile(filePath) {
+  try {
+    const files = [filePath, ...readRecentFiles().filter(file => file !== filePath)].slice(0, RECENT_LIMIT);
+    store.writeStore('recent', { files });
+  } catch (error) {
+    console.error(`${colors.red}Could not save recent files:${colors.reset}`, error.message);
+  }
+}
+
+// Open files and folders as the playlist and load its first entry
+async function openPlaylist(paths) {
+  const { files, missing } = mediaFiles.expandPaths(paths);
+  missing.forEach(file => console.log(`${colors.red}File not found: ${file}${colors.reset}`));
+  if (files.length === 0) {
+    if (missing.length === 0) {
+      console.log(`${colors.yellow}No video files found (${mediaFiles.VIDEO_EXTENSIONS.join(', ')})${colors.reset}`);
+    }
+    return false;
+  }
+
+  playlist = files;
+  if (files.length > 1) {
+    console.log(`${colors.green}✓ Playlist: ${files.length} files${colors.reset}`);
+  }
+  return playPlaylistEntry(0);
+}
+
+async function playPlaylistEntry(index) {
+  playlistIndex = index;
+  return loadVideo(playlist[index]);
+}
+
+// Move through the playlist by delta files
+async function stepPlaylist(delta) {
+  const index = playlistIndex + delta;
+  if (playlist.length < 2) {
+    console.log(`${colors.yellow}No other files in the playlist${colors.reset}`);
+    return false;
+  }
+  if (index < 0 || index >= playlist.length) {
+    console.log(`${colors.yellow}Already at the ${delta < 0 ? 'first' : 'last'} file${colors.reset}`);
+    return false;
+  }
+  return playPlaylistEntry(index);
+}
+
+// Scrollable playlist; Enter loads the selected file
+async function browsePlaylist() {
+  if (playlist.length === 0) {
+    console.log(`${colors.yellow}No playlist - load a folder or several files first${colors.reset}`);
+    return false;
+  }
+  const base = commonDirectory(playlist);
+  const index = await chooseFromList(`Playlist (${base})`, playlist.map(file => path.relative(base, file)), playlistIndex);
+  return index >= 0 && playPlaylistEntry(index);
+}
+
+// Scrollable recent-files list; the chosen file's folder becomes the playlist
+async function browseRecentFiles() {
+  const recent = readRecentFiles();
+  if (recent.length === 0) {
+    console.log(`${colors.yellow}No recent files${colors.reset}`);
+    return false;
+  }
+  const index = await chooseFromList('Recent files', recent);
+  if (index < 0) return false;
+
+  const siblings = mediaFiles.scanDir(path.dirname(recent[index]), { recursive: false });
+  if (siblings.includes(recent[index])) {
+    playlist = siblings;
+    return playPlaylistEntry(siblings.indexOf(recent[index]));
+  }
+  return openPlaylist([recent[index]]);
+}
+
+function commonDirectory(files) {
+  let base = path.dirname(files[0]);
+  while (!files.every(file => file.startsWith(base + path.sep)) && path.dirname(base) !== base) {
+    base = path.dirname(base);
+  }
+  return base;
+}
+
+// Show detailed info
+async function showDetailedInfo() {
+  if (!currentVideo) {
+    console.log(`${colors.yellow}No video loaded${colors.reset}`);
+    return;
+  }
+
+  printHeader();
+  console.log(`${colors.bright}${colors.cyan}═══ Detailed Video Information ═══${colors.reset}`);
+  console.log();
+
+  const cached = propertyCache.get;
+  const props = {
+    'File': currentVideo.fullPath,
+    'Codec': cached('video-codec'),
+    'Format': cached('file-format'),
+    'Resolution': `${cached('video-params/w')}x${cached('video-params/h')}`,
+    'FPS': currentVideo.fps ? currentVideo.fps.toFixed(3) : 'Unknown',
+    'Pixel Format': cached('video-params/pixelformat'),
+    'Duration': formatTime(cached('duration')),
+    'Bitrate': `${((cached('video-bitrate') || 0) / 1000000).toFixed(2)} Mbps`,
+    'Current Time': formatTime(cached('time-pos')),
+    'Current Frame': cached('estimated-frame-number'),
+    'Timecode': formatPosition(cached('time-pos'), currentVideo.fps)
+  };
+
+  for (const [key, value] of Object.entries(props)) {
+    console.log(`  ${colors.bright}${key}:${colors.reset} ${colors.green}${value}${colors.reset}`);
+  }
+
+  const trackList = cached('track-list') || [];
+  if (trackList.length > 0) {
+    console.log();
+    console.log(`${colors.bright}${colors.cyan}Tracks:${colors.reset}`);
+    for (const track of trackList) {
+      const marker = track.selected ? `${colors.green}●` : ' ';
+      const label = (tracks.TYPE_LABELS[track.type] || track.type).padEnd(8);
+      console.log(`  ${marker} ${label} ${tracks.describeTrack(track)}${colors.reset}`);
+    }
+    if (cached('sub-delay')) {
+      console.log(`  Subtitle delay: ${(cached('sub-delay') * 1000).toFixed(0)}ms`);
+    }
+  }
+
+  console.log();
+  console.log(`${colors.cyan}Press Enter to continue...${colors.reset}`);
+  await promptForInput('');
+}
+
+// Live playback health panel, refreshed every STATS_INTERVAL until a key is pressed
+function showStatsPanel() {
+  printHeader();
+  statusLineSuspended = true;
+  inputCaptured = true;
+  let drawn = 0;
+
+  async function render() {
+    const sample = await playbackStats.sampleStats(player);
+    if (!inputCaptured) return;
+    if (drawn > 0) {
+      readline.moveCursor(process.stdout, 0, -drawn);
+      readline.clearScreenDown(process.stdout);
+    }
+    const lines = [`${colors.bright}${colors.cyan}═══ Playback Stats ═══${colors.reset}`, ''];
+    for (const [label, value] of playbackStats.describeSample(sample)) {
+      lines.push(`  ${colors.bright}${label}:${colors.reset} ${colors.green}${value}${colors.reset}`);
+    }
+    lines.push('');
+    if (statsRecording) {
+      lines.push(`  ${colors.red}● Recording${colors.reset} ${statsRecording.file} (${statsRecording.samples.length} samples)`);
+    }
+    lines.push(`${colors.cyan}Press any key to return${colors.reset}`);
+    process.stdout.write(`${lines.join('\n')}\n`);
+    drawn = lines.length;
+  }
+
+  return new Promise((resolve) => {
+    const timer = setInterval(render, STATS_INTERVAL);
+    const onKeypress = () => {
+      clearInterval(timer);
+      process.stdin.removeListener('keypress', onKeypress);
+      inputCaptured = false;
+      statusLineSuspended = false;
+      resolve();
+    };
+    resumeKeyInput();
+    process.stdin.on('keypress', onKeypress);
+    render();
+  });
+}
+
+// Start sampling playback stats every STATS_INTERVAL into a timestamped CSV
+// under the store directory, or stop and summarize a running recording
+function toggleStatsRecording() {
+  if (statsRecording) {
+    stopStatsRecording();
+    return;
+  }
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const file = path.join(store.DATA_DIR, 'stats', `stats-${stamp}.csv`);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, playbackStats.csvHeader());
+  } catch (error) {
+    console.error(`${colors.red}Could not create ${file}:${colors.reset}`, error.message);
+    return;
+  }
+  statsRecording = { file, samples: [], busy: false, timer: setInterval(recordStatsSample, STATS_INTERVAL) };
+  console.log(`${colors.green}● Recording playback stats to ${file}${colors.reset}`);
+}
+
+async function recordStatsSample() {
+  const recording = statsRecording;
+  // Skip a tick while the previous sample is still waiting on mpv
+  if (!recording || recording.busy || !currentVideo) return;
+  recording.busy = true;
+  const sample = await playbackStats.sampleStats(player);
+  recording.busy = false;
+  if (recording !== statsRecording) return;
+  try {
+    fs.appendFileSync(recording.file, playbackStats.toCsvRow(sample));
+    recording.samples.push(sample);
+  } catch (error) {
+    console.error(`${colors.red}Could not write stats:${colors.reset}`, error.message);
+    stopStatsRecording();
+  }
+}
+
+function stopStatsRecording() {
+  if (!statsRecording) return;
+  const { file, samples, timer } = statsRecording;
+  clearInterval(timer);
+  statsRecording = null;
+
+  const summary = playbackStats.summarizeStats(samples);
+  console.log(`${colors.green}✓ Recorded ${summary.samples} samples over ${formatTime(summary.seconds)} to ${file}${colors.reset}`);
+  if (summary.samples > 0) {
+    const drops = summary.frameDrops + summary.decoderDrops;
+    console.log(`  ${drops > 0 ? colors.yellow : colors.green}Dropped frames: ${summary.frameDrops} (decoder ${summary.decoderDrops})${colors.reset}`);
+    if (summary.maxAvsyncMs !== null) console.log(`  Worst A/V sync: ${summary.maxAvsyncMs.toFixed(1)} ms`);
+    if (summary.minCacheSeconds !== null) console.log(`  Lowest cache: ${summary.minCacheSeconds.toFixed(1)}s`);
+  }
+}
+
+// Longest a benchmark frame step may take to show its frame
+const STEP_TIMEOUT = 10000;
+
+// Time a single frame step in milliseconds, from sending the command until
+// mpv reports the new time-pos. mpv acknowledges frame-back-step before it
+// has decoded forward from the previous keyframe, so the reply alone would
+// understate backward steps.
+async function timeStep(command) {
+  const before = await player.getProperty('time-pos');
+  let onChange;
+  let timer;
+  const shown = new Promise((resolve, reject) => {
+    onChange = (name, value) => {
+      if (name === 'time-pos' && value !== before) resolve();
+    };
+    propertyCache.on('change', onChange);
+    timer = setTimeout(() => reject(new Error(`${command} showed no new frame within ${STEP_TIMEOUT / 1000}s`)), STEP_TIMEOUT);
+  });
+  const start = process.hrtime.bigint();
+  try {
+    await player.command(command);
+    await shown;
+    return Number(process.hrtime.bigint() - start) / 1e6;
+  } finally {
+    clearTimeout(timer);
+    propertyCache.off('change', onChange);
+  }
+}
+
+// Find benchmark start positions around a target time: one frame after the
+// keyframe at or before it, and halfway between that keyframe and the next
+async function findStartPositions(target, fps) {
+  const frame = fps ? 1 / fps : 0.04;
+
+  await player.command('seek', [target, 'absolute+keyframes']);
+  const keyframe = await player.getProperty('time-pos');
+  await player.command('seek', [frame / 2, 'relative+keyframes']);
+  let nextKeyframe = await player.getProperty('time-pos');
+  if (!(nextKeyframe > keyframe + 2 * frame)) {
+    nextKeyframe = keyframe + 1;
+  }
+
+  return [
+    { label: 'after-keyframe', keyframe, start: keyframe + frame },
+    { label: 'mid-gop', keyframe, nextKeyframe, start: (keyframe + nextKeyframe) / 2 }
+  ];
+}
+
+// Non-interactive frame-step latency benchmark
+async function runBenchmark(filePath, options) {
+  if (!(await loadVideo(filePath)) || !currentVideo) return false;
+  await player.pause();
+
+  const { fps, duration } = currentVideo;
+  const forward = [];
+  const backward = [];
+  const positions = [];
+
+  for (const fraction of [0.1, 0.5, 0.9]) {
+    const starts = await findStartPositions(duration * fraction, fps);
+    for (const position of starts) {
+      const run = { ...position, forward: [], backward: [] };
+
+      for (const [direction, command, samples] of [
+        ['forward', 'frame-step', run.forward],
+        ['backward', 'frame-back-step', run.backward]
+      ]) {
+        await player.command('seek', [position.start, 'absolute+exact']);
+        for (let i = 0; i < options.frames; i++) {
+          samples.push(await timeStep(command));
+        }
+        (direction === 'forward' ? forward : backward).push(...samples);
+      }
+
+      console.log(`  ${position.label.padEnd(15)} @ ${formatTime(position.start)}  forward p50 ${summarize(run.forward).p50}ms  backward p50 ${summarize(run.backward).p50}ms`);
+      positions.push({
+        label: run.label,
+        start: run.start,
+        keyframe: run.keyframe,
+        nextKeyframe: run.nextKeyframe,
+        forward: summarize(run.forward),
+        backward: summarize(run.backward),
+        samples: { forward: run.forward, backward: run.backward }
+      });
+    }
+  }
+
+  let mpvVersion = null;
+  try {
+    mpvVersion = await player.getProperty('mpv-version');
+  } catch (error) {
+    // Older mpv
+  }
+
+  const report = {
+    file: currentVideo.fullPath,
+    date: new Date().toISOString(),
+    mpvVersion,
+    mpvArgs: [...MPV_ARGS, ...options.mpvArgs],
+    video: {
+      codec: currentVideo.codec,
+      format: currentVideo.format,
+      width: currentVideo.width,
+      height: currentVideo.height,
+      fps,
+      duration
+    },
+    framesPerRun: options.frames,
+    measured: 'ms from sending frame-step/frame-back-step until mpv reports the new time-pos',
+    forward: summarize(forward),
+    backward: summarize(backward),
+    positions
+  };
+
+  console.log();
+  console.log(`${colors.bright}${colors.blue}Frame-step latency (ms):${colors.reset} ${report.video.codec} ${report.video.width}x${report.video.height}`);
+  console.log(`  ${'direction'.padEnd(10)} ${['min', 'p50', 'p95', 'p99', 'max'].map(h => h.padStart(9)).join('')}`);
+  for (const direction of ['forward', 'backward']) {
+    const stats = report[direction];
+    console.log(`  ${direction.padEnd(10)} ${['min', 'p50', 'p95', 'p99', 'max'].map(k => stats[k].toFixed(2).padStart(9)).join('')}`);
+  }
+
+  const outputPath = options.output ||
+    `bench-${path.parse(filePath).name}-${report.date.replace(/[:.]/g, '-')}.json`;
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+  console.log();
+  console.log(`${colors.green}✓ Results written to ${outputPath}${colors.reset}`);
+  return true;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Scripts read bare numbers as seconds; frames are written f375
+const SCRIPT_POSITIONS = { bareNumbers: 'seconds' };
+
+function scriptPosition(arg) {
+  if (arg === undefined) throw new Error('Missing position');
+  return timecode.parsePosition(arg, currentVideo && currentVideo.fps, SCRIPT_POSITIONS).seconds;
+}
+
+// Current frame as mpv estimates it, falling back to time-pos × fps
+async function currentFrame() {
+  try {
+    return await player.getProperty('estimated-frame-number');
+  } catch (error) {
+    return timecode.secondsToFrame(await player.getProperty('time-pos'), currentVideo.fps);
+  }
+}
+
+function requireVideo() {
+  if (!currentVideo) throw new Error('No video loaded');
+}
+
+// Session script commands. Each returns a short result or throws on failure.
+const SCRIPT_COMMANDS = {
+  async load(args) {
+    const filePath = args.join(' ');
+    if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
+    if (!(await loadVideo(filePath))) throw new Error(`Failed to load ${filePath}`);
+    return `${currentVideo.codec} ${currentVideo.width}x${currentVideo.height} @ ${currentVideo.fps.toFixed(3)} fps`;
+  },
+
+  async seek([target]) {
+    requireVideo();
+    if (/^[+-]\d/.test(target || '')) {
+      await player.seek(parseFloat(target), 'relative');
+    } else if (!(await goToPosition(target || '', SCRIPT_POSITIONS))) {
+      throw new Error(`Seek to ${target} failed`);
+    }
+    return formatPosition(await player.getProperty('time-pos'), currentVideo.fps);
+  },
+
+  async step([direction, count = '1']) {
+    requireVideo();
+    const steps = Number(count);
+    if (!['forward', 'backward'].includes(direction) || !Number.isInteger(steps) || steps < 1) {
+      throw new Error('Usage: step forward|backward [count]');
+    }
+    for (let i = 0; i < steps; i++) {
+      if (!(await frameStep(direction))) {
+        throw new Error(`Frame step ${i + 1} of ${steps} failed`);
+      }
+    }
+    return `frame ${await currentFrame()}`;
+  },
+
+  async loop([action, a, b]) {
+    requireVideo();
+    if (action === 'set') {
+      const start = scriptPosition(a);
+      const end = scriptPosition(b);
+      if (!(end > start)) throw new Error('Loop end must be after loop start');
+      loopStart = start;
+      loopEnd = end;
+      await applyLoop();
+      return `${formatTime(loopStart)} - ${formatTime(loopEnd)}`;
+    }
+    if (action === 'clear') {
+      await clearLoop();
+      return 'cleared';
+    }
+    throw new Error('Usage: loop set <a> <b> | loop clear');
+  },
+
+  async play() {
+    requireVideo();
+    await player.resume();
+    return 'playing';
+  },
+
+  async pause() {
+    requireVideo();
+    await player.pause();
+    return 'paused';
+  },
+
+  // wait <seconds>, or wait with no argument until a pending seek settles
+  async wait([seconds]) {
+    if (seconds !== undefined) {
+      await sleep(parseFloat(seconds) * 1000);
+      return `${seconds}s`;
+    }
+    const deadline = Date.now() + 10000;
+    while (Date.now() < deadline && await player.getProperty('seeking').catch(() => false)) {
+      await sleep(20);
+    }
+    return 'settled';
+  },
+
+  async screenshot(args) {
+    requireVideo();
+    const file = args.join(' ') || path.join(capture.CAPTURE_DIR,
+      capture.stillName(path.parse(currentVideo.filename).name, await currentFrame(), currentVideo.fps));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    await capture.captureFrame(player, file, 'video');
+    return file;
+  },
+
+  async expect([what, ...args]) {
+    requireVideo();
+    if (what === 'frame') {
+      const expected = parseInt(args[0], 10);
+      const actual = await currentFrame();
+      if (actual !== expected) throw new Error(`expected frame ${expected}, got ${actual}`);
+      return `frame ${actual}`;
+    }
+    if (what === 'time') {
+      const expected = scriptPosition(args[0]);
+      const tolerance = args[1] !== undefined ? parseFloat(args[1]) : 0.5 / (currentVideo.fps || 25);
+      const actual = await player.getProperty('time-pos');
+      if (Math.abs(actual - expected) > tolerance) {
+        throw new Error(`expected time ${formatTime(expected)}, got ${formatTime(actual)}`);
+      }
+      return formatTime(actual);
+    }
+    if (what === 'paused' || what === 'playing') {
+      const paused = await player.getProperty('pause');
+      if (paused !== (what === 'paused')) throw new Error(`expected ${what}, player is ${paused ? 'paused' : 'playing'}`);
+      return what;
+    }
+    if (what === 'loop') {
+      const a = await player.getProperty('ab-loop-a');
+      const b = await player.getProperty('ab-loop-b');
+      if (args[0] === 'none') {
+        if (a !== 'no' || b !== 'no') throw new Error(`expected no loop, got ${a} - ${b}`);
+        return 'none';
+      }
+      const tolerance = 0.5 / (currentVideo.fps || 25);
+      const [expectedA, expectedB] = [scriptPosition(args[0]), scriptPosition(args[1])];
+      if (typeof a !== 'number' || typeof b !== 'number' ||
+          Math.abs(a - expectedA) > tolerance || Math.abs(b - expectedB) > tolerance) {
+        throw new Error(`expected loop ${formatTime(expectedA)} - ${formatTime(expectedB)}, got ${a} - ${b}`);
+      }
+      return `${formatTime(a)} - ${formatTime(b)}`;
+    }
+    throw new Error('Usage: expect frame <n> | time <pos> [tolerance] | paused | playing | loop <a> <b>|none');
+  }
+};
+
+// Split a session script into steps, skipping blank lines and # comments
+function parseScript(text) {
+  return text.split(/\r?\n/)
+    .map((line, i) => ({ line: i + 1, text: line.replace(/#.*$/, '').trim() }))
+    .filter(step => step.text)
+    .map(step => {
+      const [name, ...args] = step.text.split(/\s+/);
+      return { ...step, name: name.toLowerCase(), args };
+    });
+}
+
+// Run a session script headlessly; stops at the first failing step
+async function runScript(scriptPath) {
+  const steps = parseScript(fs.readFileSync(scriptPath, 'utf8'));
+  const unknown = steps.find(step => !SCRIPT_COMMANDS[step.name]);
+  if (unknown) {
+    console.error(`${colors.red}${scriptPath}:${unknown.line}: unknown command "${unknown.name}"${colors.reset}`);
+    return false;
+  }
+
+  const scriptStart = Date.now();
+  for (const step of steps) {
+    const start = Date.now();
+    try {
+      const result = await SCRIPT_COMMANDS[step.name](step.args);
+      console.log(`${colors.green}✓ [${step.line}] ${step.text}${colors.reset} (${Date.now() - start}ms) → ${result}`);
+    } catch (error) {
+      console.log(`${colors.red}✗ [${step.line}] ${step.text} (${Date.now() - start}ms): ${error.message}${colors.reset}`);
+      console.log(`${colors.red}Script failed at line ${step.line}${colors.reset}`);
+      return false;
+    }
+  }
+
+  console.log(`${colors.green}✓ Script passed: ${steps.length} step(s) in ${Date.now() - scriptStart}ms${colors.reset}`);
+  return true;
+}
+
+// Operations behind the local control API (--serve). They reuse the session
+// script helpers but return data for the client instead of printed text.
+function createControlApi() {
+  return {
+    player,
+    propertyCache,
+
+    getInfo() {
+      const position = propertyCache.get('time-pos');
+      return {
+        video: currentVideo,
+        position: position === undefined ? null : position,
+        frame: currentVideo ? timecode.secondsToFrame(position, currentVideo.fps) : null,
+        paused: propertyCache.get('pause') !== false,
+        speed: propertyCache.get('speed') || 1,
+        loop: loopStart !== null && loopEnd !== null ? { start: loopStart, end: loopEnd } : null,
+        savedLoops
+      };
+    },
+
+    async load(filePath) {
+      await SCRIPT_COMMANDS.load([filePath]);
+      return currentVideo;
+    },
+
+    // Numbers are seconds; strings accept anything the g key does (f375, timecode...)
+    async seek(position, mode) {
+      requireVideo();
+      if (mode === 'relative') {
+        await player.seek(Number(position), 'relative');
+      } else if (!(await goToPosition(String(position), SCRIPT_POSITIONS))) {
+        throw new Error(`Seek to ${position} failed`);
+      }
+      return { position: await player.getProperty('time-pos') };
+    },
+
+    async frameStep(direction, count) {
+      await SCRIPT_COMMANDS.step([direction, String(count)]);
+      return { frame: await currentFrame(), position: await player.getProperty('time-pos') };
+    },
+
+    async setLoop(start, end) {
+      requireVideo();
+      const a = scriptPosition(String(start));
+      const b = scriptPosition(String(end));
+      if (b <= a) throw new Error('Loop end must be after loop start');
+      loopStart = a;
+      loopEnd = b;
+      activeLoopIndex = -1;
+      await applyLoop();
+      return { start: loopStart, end: loopEnd };
+    },
+
+    async clearLoop() {
+      requireVideo();
+      await clearLoop();
+    }
+  };
+}
+
+// Interactive actions, run from key bindings (keybindings.js) and the ':'
+// prompt with the arguments given there. Each action is declared once here;
+// the controls and the action list are generated from this registry.
+// Actions need a loaded video unless marked anytime.
+const ACTIONS = {
+  'load': {
+    usage: '[path]',
+    description: 'Load a video file or folder',
+    anytime: true,
+    async run(args) {
+      const filePath = args.length > 0 ? args.join(' ') : await promptForFile();
+      if (filePath && await openPlaylist([filePath])) redrawScreen();
+    }
+  },
+  'prev-file': {
+    description: 'Previous file in the playlist',
+    anytime: true,
+    async run() {
+      if (await stepPlaylist(-1)) redrawScreen();
+    }
+  },
+  'next-file': {
+    description: 'Next file in the playlist',
+    anytime: true,
+    async run() {
+      if (await stepPlaylist(1)) redrawScreen();
+    }
+  },
+  'playlist': {
+    description: 'Browse the playlist',
+    anytime: true,
+    async run() {
+      if (await browsePlaylist()) redrawScreen();
+    }
+  },
+  'recent': {
+    description: 'Open a recent file',
+    anytime: true,
+    async run() {
+      if (await browseRecentFiles()) redrawScreen();
+    }
+  },
+  'toggle-pause': {
+    description: 'Toggle play/pause',
+    async run() {
+      await player.togglePause();
+      console.log(`${colors.cyan}Toggled pause${colors.reset}`);
+    }
+  },
+  'play': {
+    description: 'Play',
+    async run() {
+      await player.resume();
+      console.log(`${colors.cyan}Playing${colors.reset}`);
+    }
+  },
+  'pause': {
+    description: 'Pause',
+    async run() {
+      await player.pause();
+      console.log(`${colors.cyan}Paused${colors.reset}`);
+    }
+  },
+  'seek': {
+    usage: '[position|+seconds|-seconds]',
+    description: 'Seek (frame f375, timecode or time); asks without one',
+    async run([target]) {
+      if (target === undefined) {
+        const input = await promptForInput('Go to (frame, HH:MM:SS:FF, MM:SS.mmm or 12.5s): ');
+        if (input) await goToPosition(input);
+      } else if (/^[+-]\d/.test(target)) {
+        await player.seek(parseFloat(target), 'relative');
+        console.log(`${colors.cyan}Seeked ${target}s${colors.reset}`);
+      } else {
+        await goToPosition(target, SCRIPT_POSITIONS);
+      }
+    }
+  },
+  'step': {
+    usage: 'forward|backward [count]',
+    description: 'Frame step',
+    async run([direction, count = '1']) {
+      if (!['forward', 'backward'].includes(direction)) {
+        throw new Error('Usage: step forward|backward [count]');
+      }
+      for (let i = 0; i < parseInt(count, 10); i++) {
+        if (!(await frameStep(direction))) break;
+      }
+    }
+  },
+  'loop-a': {
+    description: 'Set loop start (A)',
+    async run() {
+      loopStart = await player.getProperty('time-pos');
+      console.log(`${colors.green}Loop start set: ${formatTime(loopStart)}${colors.reset}`);
+      await applyLoop();
+    }
+  },
+  'loop-b': {
+    description: 'Set loop end (B)',
+    async run() {
+      loopEnd = await player.getProperty('time-pos');
+      console.log(`${colors.green}Loop end set: ${formatTime(loopEnd)}${colors.reset}`);
+      await applyLoop();
+    }
+  },
+  'loop': {
+    usage: '<a> <b>',
+    description: 'Set and activate an A/B loop (positions as for seek)',
+    async run([a, b]) {
+      if (b === undefined) throw new Error('Usage: loop <a> <b>');
+      const [start, end] = [scriptPosition(a), scriptPosition(b)];
+      if (!(end > start)) throw new Error('Loop end must be after its start');
+      loopStart = start;
+      loopEnd = end;
+      await applyLoop();
+    }
+  },
+  'loop-clear': {
+    description: 'Clear loop',
+    async run() {
+      await clearLoop();
+    }
+  },
+  'save-loop': {
+    usage: '[name]',
+    description: 'Save current loop as a named loop',
+    async run(args) {
+      saveCurrentLoop(args.length > 0 ? args.join(' ') : await promptForInput('Loop name: '));
+    }
+  },
+  'prev-loop': {
+    description: 'Activate previous saved loop',
+    async run() {
+      await cycleLoop(-1);
+    }
+  },
+  'next-loop': {
+    description: 'Activate next saved loop',
+    async run() {
+      await cycleLoop(1);
+    }
+  },
+  'loops': {
+    description: 'Manage saved loops',
+    async run() {
+      await manageLoops();
+      redrawScreen();
+    }
+  },
+  'write-loops': {
+    description: 'Write saved loops into a copy of the file',
+    async run() {
+      await exportCommentLoops();
+    }
+  },
+  'still': {
+    usage: '[video|subtitles|window]',
+    description: 'Save the current frame as PNG',
+    async run([mode = 'video']) {
+      await saveStill(mode);
+    }
+  },
+  'export-frames': {
+    description: 'Export A-B range as an image sequence',
+    async run() {
+      await exportFrames();
+    }
+  },
+  'export-clip': {
+    description: 'Export A-B range as a clip',
+    async run() {
+      await exportLoopClip();
+    }
+  },
+  'speed': {
+    usage: 'up|down|<speed>',
+    description: 'Step through speed presets or set a speed',
+    async run([value]) {
+      if (value === 'up' || value === 'down') {
+        await stepSpeed(value === 'up' ? 1 : -1);
+        return;
+      }
+      const speed = Number(value);
+      if (!(speed > 0)) throw new Error('Usage: speed up|down|<speed>');
+      await player.setProperty('speed', speed);
+      console.log(`${colors.cyan}Speed: ${speed}x${colors.reset}`);
+    }
+  },
+  'pitch-correction': {
+    description: 'Toggle pitch correction',
+    async run() {
+      await togglePitchCorrection();
+    }
+  },
+  'practice': {
+    description: 'Start/stop practice mode on the A/B loop',
+    async run() {
+      if (practiceSession) {
+        await stopPractice();
+      } else {
+        await startPractice();
+      }
+    }
+  },
+  'adjust': {
+    usage: `${videoAdjust.EQUALIZER.join('|')} up|down|<delta>`,
+    description: 'Change an equalizer setting',
+    async run([name, amount]) {
+      const delta = { up: videoAdjust.EQUALIZER_STEP, down: -videoAdjust.EQUALIZER_STEP }[amount] ?? Number(amount);
+      if (!videoAdjust.EQUALIZER.includes(name) || !Number.isFinite(delta)) {
+        throw new Error(`Usage: adjust ${videoAdjust.EQUALIZER.join('|')} up|down|<delta>`);
+      }
+      await changeAdjustment(name, delta);
+    }
+  },
+  'mirror': {
+    description: 'Mirror horizontally',
+    async run() {
+      await changeAdjustment('mirror');
+    }
+  },
+  'rotate': {
+    description: 'Rotate 90°',
+    async run() {
+      await changeAdjustment('rotate');
+    }
+  },
+  'zoom': {
+    usage: 'in|out',
+    description: 'Zoom in/out',
+    async run([direction]) {
+      if (!['in', 'out'].includes(direction)) throw new Error('Usage: zoom in|out');
+      await changeAdjustment('zoom', direction === 'in' ? videoAdjust.ZOOM_STEP : -videoAdjust.ZOOM_STEP);
+    }
+  },
+  'pan': {
+    usage: 'left|right|up|down',
+    description: 'Pan the view',
+    async run([direction]) {
+      // Positive pan moves the video right/down, so the view moves the other way
+      const pans = { left: ['panX', 1], right: ['panX', -1], up: ['panY', 1], down: ['panY', -1] };
+      if (!pans[direction]) throw new Error('Usage: pan left|right|up|down');
+      const [axis, sign] = pans[direction];
+      await changeAdjustment(axis, sign * videoAdjust.PAN_STEP);
+    }
+  },
+  'reset-video': {
+    description: 'Reset video adjustments',
+    async run() {
+      await resetAdjustments();
+    }
+  },
+  'chapter': {
+    usage: 'prev|next',
+    description: 'Previous/next chapter',
+    async run([direction]) {
+      if (!['prev', 'next'].includes(direction)) throw new Error('Usage: chapter prev|next');
+      await stepChapter(direction === 'next' ? 1 : -1);
+    }
+  },
+  'chapters': {
+    description: 'List chapters',
+    async run() {
+      await chooseChapter();
+    }
+  },
+  'marker': {
+    usage: '[label]',
+    description: 'Add marker at current position',
+    async run(args) {
+      await addMarker(args.length > 0 ? args.join(' ') : undefined);
+    }
+  },
+  'prev-marker': {
+    description: 'Previous marker',
+    async run() {
+      await jumpToMarker(-1);
+    }
+  },
+  'next-marker': {
+    description: 'Next marker',
+    async run() {
+      await jumpToMarker(1);
+    }
+  },
+  'markers': {
+    description: 'Manage markers (edit, delete, export chapters)',
+    async run() {
+      await manageMarkers();
+      redrawScreen();
+    }
+  },
+  'audio': {
+    description: 'Cycle audio track',
+    async run() {
+      await cycleTrack('audio');
+    }
+  },
+  'sub': {
+    description: 'Cycle subtitle track (including off)',
+    async run() {
+      await cycleTrack('sub');
+    }
+  },
+  'sub-off': {
+    description: 'Subtitles off',
+    async run() {
+      await subtitlesOff();
+    }
+  },
+  'sub-load': {
+    usage: '[file]',
+    description: 'Load external subtitle file (.srt, .ass...)',
+    async run(args) {
+      await loadSubtitleFile(args.length > 0 ? args.join(' ') : undefined);
+    }
+  },
+  'sub-delay': {
+    usage: 'up|down|<seconds>',
+    description: `Subtitle delay +/-${SUB_DELAY_STEP * 1000}ms, or by seconds`,
+    async run([amount]) {
+      const delta = { up: SUB_DELAY_STEP, down: -SUB_DELAY_STEP }[amount] ?? Number(amount);
+      if (!Number.isFinite(delta)) throw new Error('Usage: sub-delay up|down|<seconds>');
+      await adjustSubDelay(delta);
+    }
+  },
+  'info': {
+    description: 'Show video info',
+    async run() {
+      await showDetailedInfo();
+      redrawScreen();
+    }
+  },
+  'stats': {
+    description: 'Playback stats panel',
+    async run() {
+      await showStatsPanel();
+      redrawScreen();
+    }
+  },
+  'record-stats': {
+    description: 'Start/stop recording playback stats to CSV',
+    async run() {
+      toggleStatsRecording();
+    }
+  },
+  'reset-metrics': {
+    description: 'Reset performance metrics',
+    async run() {
+      forwardStepTimes = [];
+      backwardStepTimes = [];
+      console.log(`${colors.yellow}Performance metrics reset${colors.reset}`);
+      redrawScreen();
+    }
+  },
+  'palette': {
+    description: 'Run an action by name, e.g. seek 01:23.500',
+    anytime: true,
+    async run() {
+      const line = await promptForInput(':', completeCommand);
+      if (line) await runCommand(line);
+    }
+  },
+  'help': {
+    description: 'List every action with its arguments and keys',
+    anytime: true,
+    async run() {
+      await showActions();
+      redrawScreen();
+    }
+  },
+  'quit': {
+    description: 'Quit',
+    anytime: true,
+    async run() {
+      console.log(`\n${colors.yellow}Quitting...${colors.reset}`);
+      stopStatsRecording();
+      await saveResumeState();
+      if (player) await player.quit();
+      process.exit();
+    }
+  }
+};
+
+// Run an action command line ("seek 01:23.500"), from a key binding or the ':' prompt
+async function runCommand(line) {
+  const { name, args } = keybindings.parseCommand(line);
+  const action = ACTIONS[name];
+  if (!action) {
+    console.log(`${colors.red}Unknown action: ${name} (? lists them)${colors.reset}`);
+    return;
+  }
+  if (!action.anytime && !currentVideo) {
+    console.log(`${colors.yellow}No video loaded${colors.reset}`);
+    return;
+  }
+  try {
+    await action.run(args);
+  } catch (error) {
+    console.error(`${colors.red}${name}:${colors.reset}`, error.message);
+  }
+}
+
+// Tab completion for the ':' prompt: action names, then paths for load/sub-load
+function completeCommand(line) {
+  if (!line.includes(' ')) {
+    return [Object.keys(ACTIONS).filter(id => id.startsWith(line)), line];
+  }
+  const name = line.slice(0, line.indexOf(' '));
+  if (name !== 'load' && name !== 'sub-load') return [[], line];
+  const extensions = name === 'load' ? mediaFiles.VIDEO_EXTENSIONS : tracks.SUBTITLE_EXTENSIONS;
+  const [matches] = mediaFiles.completePath(line.slice(name.length + 1), extensions);
+  return [matches.map(match => `${name} ${match}`), line];
+}
+
+// Every action with its arguments and bound keys
+async function showActions() {
+  printHeader();
+  console.log(`${colors.bright}${colors.cyan}═══ Actions ═══${colors.reset}`);
+  console.log();
+  for (const [id, action] of Object.entries(ACTIONS)) {
+    const keys = Object.keys(keyBindings)
+      .filter(key => keybindings.parseCommand(keyBindings[key]).name === id)
+      .map(keybindings.formatKey);
+    const usage = action.usage ? ` ${action.usage}` : '';
+    console.log(`  ${colors.bright}${id}${usage}${colors.reset} - ${action.description}${keys.length > 0 ? ` ${colors.cyan}[${keys.join(' ')}]${colors.reset}` : ''}`);
+  }
+  console.log();
+  console.log(`Key bindings: defaults${fs.existsSync(keyBindingsFile || '') ? ` + ${keyBindingsFile}` : ''}`);
+  await promptForInput('Press Enter to continue...');
+}
+
+// Parse command line: [files/folders...] [--bench] [--frames N] [--output file] [--script file]
+//                     [--serve] [--port N] [--allow-origin origin] [--keys file] [--transcode] [--cache-limit size]
+//                     [-- mpv options]
+function parseArgs(argv) {
+  const options = {
+    file: null, files: [], bench: false, frames: 30, output: null, script: null,
+    serve: false, port: 8520, allowOrigin: null, keys: null, transcode: false,
+    cacheLimit: transcodeCache.DEFAULT_CACHE_LIMIT, mpvArgs: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      options.mpvArgs = argv.slice(i + 1);
+      break;
+    } else if (arg === '--bench') {
+      options.bench = true;
+    } else if (arg === '--frames') {
+      options.frames = parseInt(argv[++i], 10);
+    } else if (arg === '--output') {
+      options.output = argv[++i];
+    } else if (arg === '--script') {
+      options.script = argv[++i];
+    } else if (arg === '--serve') {
+      options.serve = true;
+    } else if (arg === '--port') {
+      options.port = parseInt(argv[++i], 10);
+    } else if (arg === '--allow-origin') {
+      options.allowOrigin = argv[++i];
+    } else if (arg === '--keys') {
+      options.keys = argv[++i];
+    } else if (arg === '--transcode') {
+      options.transcode = true;
+    } else if (arg === '--cache-limit') {
+      options.cacheLimit = transcodeCache.parseSize(argv[++i]);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  options.file = options.files[0] || null;
+  if (!(options.frames > 0)) {
+    throw new Error('--frames must be a positive number');
+  }
+  if (!(options.port > 0 && options.port < 65536)) {
+    throw new Error('--port must be between 1 and 65535');
+  }
+  if (options.allowOrigin !== null) {
+    let origin = null;
+    try {
+      origin = new URL(options.allowOrigin).origin;
+    } catch (error) {
+      // Reported below
+    }
+    if (origin !== options.allowOrigin) {
+      throw new Error('--allow-origin must be an origin such as http://localhost:5173 (scheme, host and port only)');
+    }
+  }
+  return options;
+}
+
+// Main loop
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.bench && !(options.file && fs.existsSync(options.file))) {
+    console.error(`${colors.red}Benchmark needs an existing video file: ${options.file || '(none)'}${colors.reset}`);
+    process.exit(1);
+  }
+
+  if (options.script && !fs.existsSync(options.script)) {
+    console.error(`${colors.red}Script not found: ${options.script}${colors.reset}`);
+    process.exit(1);
+  }
+
+  if (options.keys && !fs.existsSync(options.keys)) {
+    console.error(`${colors.red}Key bindings file not found: ${options.keys}${colors.reset}`);
+    process.exit(1);
+  }
+
+  // Scripts and benchmarks must start from the same state every run
+  resumeEnabled = !options.script && !options.bench;
+  transcodeOptions = options.transcode ? { limit: options.cacheLimit } : null;
+
+  const initialized = await initialize(options.mpvArgs);
+  if (!initialized) {
+    process.exit(1);
+  }
+
+  if (options.script) {
+    const ok = (!options.file || await loadVideo(options.file)) && await runScript(options.script);
+    await player.quit();
+    process.exit(ok ? 0 : 1);
+  }
+
+  if (options.bench) {
+    console.log(`${colors.yellow}Benchmarking frame-step (${options.frames} frames per direction and start position)...${colors.reset}`);
+    const ok = await runBenchmark(options.file, options);
+    await player.quit();
+    process.exit(ok ? 0 : 1);
+  }
+
+  if (options.serve) {
+    try {
+      await startControlServer(options.port, createControlApi(), { allowedOrigin: options.allowOrigin });
+      console.log(`${colors.green}✓ Control API on http://127.0.0.1:${options.port}/api (WebSocket: /ws)${colors.reset}`);
+    } catch (error) {
+      console.error(`${colors.red}✗ Control API failed to start:${colors.reset}`, error.message);
+      await player.quit();
+      process.exit(1);
+    }
+  }
+
+  // Setup stdin for keyboard input
+  readline.emitKeypressEvents(process.stdin);
+  resumeKeyInput();
+  if (process.stdout.isTTY) {
+    enableStatusLine();
+  }
+
+  // Key bindings: defaults, overridden from the config file
+  keyBindingsFile = options.keys || path.join(store.DATA_DIR, 'keybindings.json');
+  let bindingProblems = [];
+  try {
+    const { bindings, warnings } = keybindings.loadBindings(keyBindingsFile, Object.keys(ACTIONS));
+    keyBindings = bindings;
+    bindingProblems = warnings;
+  } catch (error) {
+    bindingProblems = [`${error.message} - using the default keys`];
+  }
+
+  // Display UI
+  redrawScreen();
+  bindingProblems.forEach(problem => console.log(`${colors.yellow}⚠ ${problem}${colors.reset}`));
+
+  // Keyboard handler
+  process.stdin.on('keypress', async (str, key = {}) => {
+    if (key.ctrl && key.name === 'c') {
+      console.log(`\n${colors.yellow}Exiting...${colors.reset}`);
+      stopStatsRecording();
+      await saveResumeState();
+      if (player) await player.quit();
+      process.exit();
+    }
+
+    // A prompt or list is reading these keys
+    if (inputCaptured) return;
+
+    const command = keyBindings[keybindings.keyName(str, key)];
+    if (command) await runCommand(command);
+  });
+
+  // Files and folders from the command line become the playlist
+  if (options.files.length > 0 && await openPlaylist(options.files)) {
+    redrawScreen();
+  }
+}
+
+// Run when started directly; tests require this file for its functions
+if (require.main === module) {
+  // Handle errors
+  process.on('uncaughtException', async (error) => {
+    console.error(`${colors.red}Uncaught error:${colors.reset}`, error);
+    if (player) {
+      try {
+        await player.quit();
+      } catch (e) {
+        // Ignore
+      }
+    }
+    process.exit(1);
+  });
+
+  main().catch(async (error) => {
+    console.error(`${colors.red}Fatal error:${colors.reset}`, error);
+    if (player) {
+      try {
+        await player.quit();
+      } catch (e) {
+        // Ignore
+      }
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  initialize,
+  loadVideo,
+  getVideoInfo,
+  frameStep,
+  applyLoop,
+  clearLoop,
+  createControlApi,
+  getPlayer: () => player
+};
@@ -0,0 +1,60 @@
+/**
+ * Practice Mode
+ *
+ * Speed presets and the progressive speed ramp used when practising an A/B
+ * loop: playback starts slow and speeds up by a fixed step every N loop
+ * iterations until it reaches the target speed.
+ *
+ * mpv does not report A/B loop completions, so a wrap is inferred from
+ * time-pos: the playhead jumping back from the end of the loop to its start.
+ */
+
+// VidVuR's speed presets (INTEGRATION_PLAN.md)
+const SPEED_PRESETS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+
+// Largest distance from B (before the jump) and A (after it) that still counts as a wrap
+const WRAP_MARGIN = 0.5;
+
+const DEFAULT_RAMP = { start: 0.5, step: 0.1, target: 1, every: 2 };
+
+// The preset above (direction 1) or below (direction -1) a speed, clamped to the list
+function nextPreset(speed, direction) {
+  if (direction > 0) {
+    return SPEED_PRESETS.find(preset => preset > speed + 1e-6) || SPEED_PRESETS[SPEED_PRESETS.length - 1];
+  }
+  const lower = SPEED_PRESETS.filter(preset => preset < speed - 1e-6);
+  return lower.length > 0 ? lower[lower.length - 1] : SPEED_PRESETS[0];
+}
+
+// Whether a time-pos change from previous to current is the A/B loop wrapping
+// around. Short loops use a quarter of their length as the margin.
+function isLoopWrap(previous, current, a, b) {
+  if (typeof previous !== 'number' || typeof current !== 'number' || !(b > a)) return false;
+  const margin = Math.min(WRAP_MARGIN, (b - a) / 4);
+  return current < previous && previous >= b - margin && current <= a + margin;
+}
+
+// Check ramp settings, throwing on values mpv would refuse or that never progress
+function validateRamp({ start, step, target, every }) {
+  const speeds = { 'Start speed': start, 'Speed step': step, 'Target speed': target };
+  for (const [label, value] of Object.entries(speeds)) {
+    if (!(value > 0)) throw new Error(`${label} must be a positive number`);
+  }
+  if (!(start <= target)) throw new Error('Start speed must not be above the target');
+  if (!Number.isInteger(every) || every < 1) throw new Error('Loops per step must be a whole number of at least 1');
+}
+
+// Speed after a number of completed iterations, rounded to 0.01x
+function rampSpeed({ start, step, target, every }, iterations) {
+  const speed = start + step * Math.floor(iterations / every);
+  return Math.round(Math.min(speed, target) * 100) / 100;
+}
+
+module.exports = {
+  SPEED_PRESETS,
+  DEFAULT_RAMP,
+  nextPreset,
+  isLoopWrap,
+  validateRamp,
+  rampSpeed
+};
@@ -0,0 +1,63 @@
+/**
+ * mpv Property Cache
+ *
+ * Keeps a local copy of observed mpv properties so callers can read state
+ * synchronously instead of awaiting a getProperty round trip per value.
+ * Values are seeded with one batched fetch and then kept current by mpv's
+ * property-change events (observe_property), as INTEGRATION_PLAN.md
+ * recommends under "IPC latency".
+ */
+
+const { EventEmitter } = require('events');
+
+// Create a cache for the given properties of a started node-mpv player.
+// Emits 'change' (name, value) whenever mpv reports a new value.
+function createPropertyCache(player, properties) {
+  const values = {};
+  const watched = new Set(properties);
+  const emitter = new EventEmitter();
+
+  function set(name, value) {
+    if (values[name] === value) return;
+    values[name] = value;
+    emitter.emit('change', name, value);
+  }
+
+  // node-mpv only forwards some property changes, so listen on the raw socket
+  player.socket.on('message', (message) => {
+    if (message.event === 'property-change' && watched.has(message.name)) {
+      set(message.name, message.data);
+    }
+  });
+
+  // Start observing; properties node-mpv already observes are skipped
+  async function observe() {
+    await Promise.all(properties
+      .filter(name => !(name in player.observedProperties))
+      .map(name => player.observeProperty(name)));
+  }
+
+  // Fetch every property in one batch, e.g. right after a file loads
+  async function refresh() {
+    await Promise.all(properties.map(async (name) => {
+      try {
+        set(name, await player.getProperty(name));
+      } catch (error) {
+        // Unavailable for this file
+        set(name, undefined);
+      }
+    }));
+  }
+
+  return {
+    get: (name) => values[name],
+    observe,
+    refresh,
+    on: (event, listener) => emitter.on(event, listener),
+    off: (event, listener) => emitter.removeListener(event, listener)
+  };
+}
+
+module.exports = {
+  createPropertyCache
+};
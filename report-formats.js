@@ -0,0 +1,152 @@
+/**
+ * Codec Test Report Formats
+ *
+ * Serializes test-codecs.js results as JSON, CSV or JUnit XML so runs can be
+ * scripted, compared and shown as test cases in CI.
+ */
+
+const path = require('path');
+const { describeMismatch } = require('./ffprobe-check');
+
+const FORMATS = {
+  json: { extension: '.json', serialize: toJSON },
+  csv: { extension: '.csv', serialize: toCSV },
+  junit: { extension: '.xml', serialize: toJUnit }
+};
+
+const COLUMNS = [
+  'file', 'success', 'codec', 'codecName', 'audioCodec', 'container', 'resolution', 'fps', 'duration',
+  'loadTime', 'wouldConvert', 'reason', 'error',
+  'deepMode', 'framesDecoded', 'framesExpected', 'decoderDrops', 'decoderErrors', 'seekToEnd',
+  'convertedTo', 'conversionTime', 'convertedPlays', 'vfr', 'probeMismatches'
+];
+
+// Flatten a result into the fields every format shares
+function toRecord(result) {
+  const deep = result.deep || {};
+  return {
+    file: result.path || result.filename,
+    success: result.success,
+    codec: result.codec || null,
+    codecName: result.codecName || null,
+    audioCodec: result.audioCodec || null,
+    container: result.format || null,
+    resolution: result.resolution || null,
+    fps: result.fps ?? null,
+    duration: result.duration ?? null,
+    loadTime: result.loadTime ?? null,
+    wouldConvert: result.wouldConvert ?? null,
+    reason: result.reason || null,
+    error: result.error || null,
+    deepMode: deep.mode || null,
+    framesDecoded: deep.framesDecoded ?? null,
+    framesExpected: deep.framesExpected ?? null,
+    decoderDrops: deep.decoderDrops ?? null,
+    decoderErrors: deep.decoderErrors ? deep.decoderErrors.length : null,
+    seekToEnd: deep.seekToEnd ?? null,
+    // Fallback transcoding (--transcode): codec, seconds FFmpeg took, and whether the copy played
+    convertedTo: result.conversion ? result.conversion.codec : null,
+    conversionTime: result.conversion ? result.conversion.seconds : null,
+    convertedPlays: result.conversion ? result.conversion.success : null,
+    // ffprobe cross-check: null when not probed, or when mpv and ffprobe agree
+    vfr: result.vfr ?? null,
+    probeMismatches: result.probe && result.probe.mismatches && result.probe.mismatches.length > 0 ?
+      result.probe.mismatches.map(describeMismatch).join('; ') : null
+  };
+}
+
+function summarize(results) {
+  return {
+    total: results.length,
+    successful: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length,
+    wouldConvert: results.filter(r => r.success && r.wouldConvert).length,
+    neededConversion: results.filter(r => r.conversion).length,
+    vfr: results.filter(r => r.vfr).length,
+    probeMismatches: results.filter(r => toRecord(r).probeMismatches).length
+  };
+}
+
+// JSON keeps the full deep-check details (seek samples, error messages) and
+// ffprobe's facts and timestamp analysis
+function toJSON(results, meta) {
+  return JSON.stringify({
+    ...meta,
+    summary: summarize(results),
+    results: results.map((result) => {
+      const record = toRecord(result);
+      if (result.deep) record.deep = result.deep;
+      if (result.probe) record.probe = result.probe;
+      return record;
+    })
+  }, null, 2) + '\n';
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(results) {
+  const lines = [COLUMNS.join(',')];
+  for (const record of results.map(toRecord)) {
+    lines.push(COLUMNS.map(column => csvField(record[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One test case per video; failures become <failure> elements
+function toJUnit(results, meta) {
+  const summary = summarize(results);
+  const totalTime = results.reduce((sum, r) => sum + (r.loadTime || 0), 0) / 1000;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="codec-tests" tests="${summary.total}" failures="${summary.failed}" time="${totalTime.toFixed(3)}">`,
+    `  <testsuite name="${xmlEscape(meta.directory || 'codec-tests')}" tests="${summary.total}" failures="${summary.failed}" time="${totalTime.toFixed(3)}" timestamp="${xmlEscape(meta.generated)}">`
+  ];
+
+  for (const record of results.map(toRecord)) {
+    const classname = `codec.${(record.container || 'unknown').split(',')[0]}`;
+    const time = ((record.loadTime || 0) / 1000).toFixed(3);
+    lines.push(`    <testcase classname="${xmlEscape(classname)}" name="${xmlEscape(path.basename(record.file))}" file="${xmlEscape(record.file)}" time="${time}">`);
+    lines.push('      <properties>');
+    for (const column of COLUMNS.slice(2)) {
+      if (record[column] !== null) {
+        lines.push(`        <property name="${column}" value="${xmlEscape(record[column])}"/>`);
+      }
+    }
+    lines.push('      </properties>');
+    if (!record.success) {
+      lines.push(`      <failure message="${xmlEscape(record.error || 'Unknown error')}" type="PlaybackFailure"/>`);
+    }
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+// Serialize results in the named format
+function serialize(format, results, meta = {}) {
+  const writer = FORMATS[format];
+  if (!writer) {
+    throw new Error(`Unknown report format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return writer.serialize(results, { generated: new Date().toISOString(), ...meta });
+}
+
+module.exports = {
+  FORMATS,
+  serialize,
+  toRecord,
+  csvField
+};
@@ -0,0 +1,74 @@
+/**
+ * Local Store
+ *
+ * Small JSON store shared by the POC scripts. Data lives under
+ * ~/.vidvur-mpv-poc (override with VIDVUR_POC_HOME) and per-video entries are
+ * keyed by a content hash so they survive renames and moves.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = process.env.VIDVUR_POC_HOME || path.join(os.homedir(), '.vidvur-mpv-poc');
+
+// Bytes hashed from the head and tail of each file
+const HASH_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Hash a video by its size plus its first and last chunks.
+// Reading whole multi-GB files would make every load noticeably slower.
+function hashFile(filePath) {
+  const { size } = fs.statSync(filePath);
+  const hash = crypto.createHash('sha256');
+  hash.update(String(size));
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(Math.min(HASH_CHUNK_SIZE, size));
+    fs.readSync(fd, buffer, 0, buffer.length, 0);
+    hash.update(buffer);
+
+    if (size > HASH_CHUNK_SIZE) {
+      const tailStart = Math.max(HASH_CHUNK_SIZE, size - HASH_CHUNK_SIZE);
+      const tail = Buffer.alloc(size - tailStart);
+      fs.readSync(fd, tail, 0, tail.length, tailStart);
+      hash.update(tail);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return hash.digest('hex');
+}
+
+function storePath(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+// Read a named store, returning an empty object if it does not exist yet
+function readStore(name) {
+  const file = storePath(name);
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Corrupt store ${file}: ${error.message}`);
+  }
+}
+
+// Write a named store atomically so a crash never leaves half a file behind
+function writeStore(name, data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const file = storePath(name);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  DATA_DIR,
+  hashFile,
+  readStore,
+  writeStore
+};
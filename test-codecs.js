@@ -4,29 +4,20 @@
  * Codec Testing Script
  *
  * Tests multiple video files to see which codecs mpv can play without conversion.
- * Generates a report comparing against VidVuR's current conversion requirements.
+ * Generates a report comparing against a target player's conversion rules
+ * (VidVuR's by default, see rules/vidvur.json).
  */
 
 const mpv = require('node-mpv');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-
-// VidVuR's unsupported codecs list (from CLAUDE.md)
-const VIDVUR_UNSUPPORTED_CODECS = [
-  'h263', 'h263p',
-  'mpeg1video', 'mpeg2video',
-  'msmpeg4v2', 'msmpeg4v3',
-  'wmv1', 'wmv2', 'wmv3',
-  'vc1', 'rv40',
-  'svq1', 'svq3',
-  'cinepak', 'indeo3', 'indeo5'
-];
-
-// VidVuR's formats requiring conversion
-const VIDVUR_CONVERSION_FORMATS = [
-  '.mov', '.mkv', '.avi', '.flv', '.wmv',
-  '.mpg', '.mpeg', '.3gp'
-];
+const reportFormats = require('./report-formats');
+const compatRules = require('./compat-rules');
+const baseline = require('./baseline');
+const mediaFiles = require('./media-files');
+const transcodeCache = require('./transcode-cache');
+const ffprobeCheck = require('./ffprobe-check');
 
 const colors = {
   reset: '\x1b[0m',
@@ -37,14 +28,208 @@ const colors = {
   cyan: '\x1b[36m'
 };
 
-let player = null;
+// Pool of independent mpv instances, one per job
+const pool = [];
 const results = [];
 
-async function testVideo(filePath) {
+// Compatibility rules of the target player, loaded in main()
+let rules = null;
+
+// Per-instance IPC socket so parallel players never share one
+function socketPath(slot) {
+  const name = `vidvur-mpv-poc-${process.pid}-${slot}`;
+  return process.platform === 'win32' ? `\\\\.\\pipe\\${name}` : path.join(os.tmpdir(), `${name}.sock`);
+}
+
+// Deep modes decode without a window and keep the file open at EOF so its
+// counters can still be read
+const DEEP_MPV_ARGS = {
+  decode: ['--keep-open=yes', '--vo=null', '--ao=null', '--untimed', '--ao-null-untimed=yes'],
+  seek: ['--keep-open=yes', '--vo=null', '--ao=null', '--hr-seek=yes']
+};
+
+// Seek sample positions (fraction of duration) for --deep seek
+const DEEP_SEEK_POSITIONS = [0.1, 0.25, 0.5, 0.75, 0.9];
+
+async function createPlayer(slot, deep = null) {
+  const player = new mpv({
+    audio_only: false,
+    verbose: false,
+    auto_restart: false,
+    socket: socketPath(slot)
+  }, [
+    '--pause',  // Start paused to avoid playback during test
+    '--idle=yes',
+    ...(deep ? DEEP_MPV_ARGS[deep] : [])
+  ]);
+
+  await player.start();
+  if (deep) {
+    await player.command('request_log_messages', ['error']);
+  }
+  return player;
+}
+
+// Stop an mpv instance; with force, kill the process instead of waiting for it
+function killPlayer(player, force = false) {
+  if (!player) return;
+  // quit() is async: a hung or crashed mpv rejects instead of throwing
+  player.quit().catch(() => {
+    // Ignore - socket may already be gone
+  });
+  const child = player.mpvPlayer;
+  if (force && child && child.exitCode === null && child.signalCode === null) {
+    child.kill('SIGKILL');
+  }
+}
+
+function shutdownPool(force = false) {
+  pool.forEach(player => killPlayer(player, force));
+  pool.length = 0;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Read a property, returning null when mpv does not have it
+async function tryProperty(player, property) {
+  try {
+    return await player.getProperty(property);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Poll until check() is truthy; resolves false on timeout
+async function waitFor(check, timeout, interval = 100) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await check()) return true;
+    await sleep(interval);
+  }
+  return false;
+}
+
+// Collect error-level mpv log messages (decoder and demuxer errors) while a test runs
+function captureErrors(player) {
+  const errors = [];
+  const listener = (message) => {
+    if (message.event === 'log-message' && ['fatal', 'error'].includes(message.level)) {
+      errors.push(`[${message.prefix}] ${message.text.trim()}`);
+    }
+  };
+  player.socket.on('message', listener);
+  return { errors, stop: () => player.socket.removeListener('message', listener) };
+}
+
+// Exact seek, waiting for mpv to finish; returns the position reached or null
+async function seekAndSettle(player, target) {
+  await player.command('seek', [target, 'absolute+exact']);
+  await sleep(50);
+  await waitFor(async () => (await tryProperty(player, 'seeking')) === false, 5000);
+  return tryProperty(player, 'time-pos');
+}
+
+// Decode the whole file at full speed to a null output
+async function deepDecode(player, filePath, duration, fps, deep) {
+  let lastPosition = 0;
+  await player.resume();
+  const finished = await waitFor(async () => {
+    const position = await tryProperty(player, 'time-pos');
+    if (position !== null) lastPosition = position;
+    return (await tryProperty(player, 'eof-reached')) === true ||
+      (await tryProperty(player, 'idle-active')) === true;
+  }, Math.max(duration * 4000, 60000), 250);
+  await player.pause().catch(() => {});
+
+  // mpv has no decoded frame counter, and estimated-frame-number is derived
+  // from the timestamp, so frames skipped mid-file would go unnoticed: count
+  // them in a second decoding pass with ffprobe (null without ffprobe)
+  deep.framesDecoded = await ffprobeCheck.countFrames(filePath).catch(() => null);
+  deep.framesExpected = fps && duration ? Math.round(duration * fps) : null;
+  deep.decoderDrops = await tryProperty(player, 'decoder-frame-drop-count');
+  deep.frameDrops = await tryProperty(player, 'frame-drop-count');
+  deep.lastPosition = Number(lastPosition.toFixed(3));
+  deep.endReached = finished && lastPosition >= duration - Math.max(2 / (fps || 25), 0.5);
+
+  const problems = [];
+  if (!deep.endReached) {
+    problems.push(`Decoding stopped at ${lastPosition.toFixed(2)}s of ${duration.toFixed(2)}s`);
+  }
+  if (deep.framesDecoded !== null && deep.framesExpected && deep.framesDecoded < deep.framesExpected * 0.99) {
+    problems.push(`Decoded ${deep.framesDecoded} of ${deep.framesExpected} expected frames`);
+  }
+  if (deep.decoderDrops > 0) {
+    problems.push(`${deep.decoderDrops} frame(s) dropped by the decoder`);
+  }
+  return problems;
+}
+
+// Sample exact seeks across the file
+async function deepSeek(player, duration, fps, deep) {
+  const tolerance = Math.max(2 / (fps || 25), 0.1);
+  const problems = [];
+  deep.seeks = [];
+  for (const fraction of DEEP_SEEK_POSITIONS) {
+    const target = Number((duration * fraction).toFixed(3));
+    const actual = await seekAndSettle(player, target);
+    const ok = actual !== null && Math.abs(actual - target) <= tolerance;
+    deep.seeks.push({ target, actual, ok });
+    if (!ok) problems.push(`Seek to ${target}s landed at ${actual === null ? 'nothing' : `${actual.toFixed(3)}s`}`);
+  }
+  deep.decoderDrops = await tryProperty(player, 'decoder-frame-drop-count');
+  return problems;
+}
+
+// Verify the stream beyond opening it. Returns { deep, problems }.
+async function verifyStream(player, filePath, mode, duration, fps, errors) {
+  const deep = { mode, decoderErrors: errors };
+  if (!duration) {
+    return { deep, problems: ['Duration unknown - cannot verify stream'] };
+  }
+
+  const problems = mode === 'decode' ?
+    await deepDecode(player, filePath, duration, fps, deep) :
+    await deepSeek(player, duration, fps, deep);
+
+  // Seeking to the end must work in both modes
+  const endTarget = Math.max(0, duration - 1);
+  const endPosition = await seekAndSettle(player, endTarget);
+  deep.seekToEnd = endPosition !== null && endPosition >= endTarget - 0.5;
+  if (!deep.seekToEnd) problems.push('Seeking to the end failed');
+
+  deep.decoderErrors = errors.slice();
+  if (errors.length > 0) {
+    problems.push(`${errors.length} decoder error(s), first: ${errors[0]}`);
+  }
+  return { deep, problems };
+}
+
+// Log the outcome of the ffprobe cross-check
+function logProbe(probe, log) {
+  if (probe.error) {
+    log(`  ${colors.yellow}⚠ ffprobe check failed: ${probe.error}${colors.reset}`);
+    return;
+  }
+  if (probe.mismatches.length === 0) {
+    log(`  ffprobe: agrees with mpv`);
+  }
+  probe.mismatches.forEach(mismatch => log(`  ${colors.yellow}≠ ${ffprobeCheck.describeMismatch(mismatch)}${colors.reset}`));
+  if (probe.vfr) {
+    const { minInterval, maxInterval } = probe.timestamps;
+    log(`  ${colors.yellow}⚠ Variable frame rate (frame intervals ${(minInterval * 1000).toFixed(1)}-${(maxInterval * 1000).toFixed(1)} ms): ` +
+      `frame numbers and frame steps are approximate${colors.reset}`);
+  }
+}
+
+// Test how mpv plays one file on a started player. Options: log, deep, rules
+// (defaults to the rules main() loaded), probe (cross-check with ffprobe)
+async function testPlayback(filePath, player, options = {}) {
   const filename = path.basename(filePath);
-  const ext = path.extname(filePath).toLowerCase();
+  const log = options.log || console.log;
+  const targetRules = options.rules || rules;
+  const capture = options.deep ? captureErrors(player) : null;
 
-  console.log(`\n${colors.cyan}Testing: ${filename}${colors.reset}`);
+  log(`\n${colors.cyan}Testing: ${filename}${colors.reset}`);
 
   try {
     const startTime = Date.now();
@@ -86,54 +271,97 @@ async function testVideo(filePath) {
     } catch (e) {
       duration = null;
     }
+    const audioCodec = await tryProperty(player, 'audio-codec-name');
+    const codecName = await tryProperty(player, 'video-format');
+    const profile = await tryProperty(player, 'current-tracks/video/codec-profile');
 
     // Check if we got valid codec info
     if (!codec) {
       throw new Error('Could not detect video codec');
     }
 
-    // Check if VidVuR would require conversion
-    // Check if codec string contains any unsupported codec name
-    const codecLower = codec.toLowerCase();
-    const codecUnsupported = VIDVUR_UNSUPPORTED_CODECS.some(unsupported => {
-      // Handle both "h263" and "h.263" formats
-      const normalized = unsupported.replace(/(\d)/, '.$1'); // h263 -> h.263
-      return codecLower.includes(unsupported) || codecLower.includes(normalized);
-    });
-    const wouldConvert = codecUnsupported || VIDVUR_CONVERSION_FORMATS.includes(ext);
+    // Check if the target player would require conversion
+    const verdict = compatRules.evaluate(targetRules, compatRules.factsFrom({
+      filePath,
+      codecName,
+      fileFormat: format,
+      pixelFormat: await tryProperty(player, 'video-params/pixelformat'),
+      profile,
+      width,
+      height
+    }));
+    const wouldConvert = verdict.verdict === 'convert';
 
     const result = {
       filename,
+      path: filePath,
       codec,
+      codecName,
+      audioCodec,
       format,
       resolution: `${width}x${height}`,
-      fps: fps ? fps.toFixed(2) : 'N/A',
-      duration: duration ? duration.toFixed(2) : 'N/A',
+      fps: fps ? Number(fps.toFixed(2)) : null,
+      duration: duration ? Number(duration.toFixed(2)) : null,
       loadTime,
       success: true,
       wouldConvert,
-      reason: wouldConvert ? (
-        codecUnsupported ?
-          'Unsupported codec' :
-          'Container format requires conversion'
-      ) : null
+      reason: verdict.reason
     };
 
-    results.push(result);
+    if (options.probe) {
+      const mpvFacts = {
+        codecName,
+        profile,
+        width,
+        height,
+        duration,
+        frames: await tryProperty(player, 'estimated-frame-count'),
+        containerFps: fps,
+        paramsFps: await tryProperty(player, 'video-params/fps')
+      };
+      try {
+        result.probe = await ffprobeCheck.crossCheck(filePath, mpvFacts);
+        result.vfr = result.probe.vfr;
+      } catch (error) {
+        result.probe = { error: error.message };
+      }
+    }
 
-    console.log(`  ${colors.green}✓ Success${colors.reset}`);
-    console.log(`  Codec: ${codec}`);
-    console.log(`  Format: ${format}`);
-    console.log(`  Resolution: ${width}x${height}`);
-    console.log(`  FPS: ${fps ? fps.toFixed(2) : 'N/A'}`);
-    console.log(`  Load time: ${loadTime}ms`);
-    if (wouldConvert) {
-      console.log(`  ${colors.yellow}⚠ VidVuR would convert this (${result.reason})${colors.reset}`);
-    } else {
-      console.log(`  ${colors.green}✓ VidVuR would play directly${colors.reset}`);
+    if (options.deep) {
+      const { deep, problems } = await verifyStream(player, filePath, options.deep, duration, fps, capture.errors);
+      result.deep = deep;
+      if (problems.length > 0) {
+        result.success = false;
+        result.error = `Deep ${options.deep} check failed: ${problems.join('; ')}`;
+      }
+    }
+
+    log(`  ${result.success ? `${colors.green}✓ Success` : `${colors.red}✗ Opened, but ${result.error}`}${colors.reset}`);
+    log(`  Codec: ${codec}${audioCodec ? ` (audio: ${audioCodec})` : ''}`);
+    log(`  Format: ${format}`);
+    log(`  Resolution: ${width}x${height}`);
+    log(`  FPS: ${fps ? fps.toFixed(2) : 'N/A'}`);
+    log(`  Load time: ${loadTime}ms`);
+    if (result.deep) {
+      const { deep } = result;
+      if (deep.mode === 'decode') {
+        log(`  Decoded: ${deep.framesDecoded ?? '?'} / ${deep.framesExpected ?? '?'} frames, decoder drops: ${deep.decoderDrops ?? 0}`);
+      } else if (deep.seeks) {
+        log(`  Seeks: ${deep.seeks.filter(seek => seek.ok).length} / ${deep.seeks.length} exact`);
+      }
+      log(`  Seek to end: ${deep.seekToEnd ? 'ok' : 'failed'}, decoder errors: ${deep.decoderErrors.length}`);
+    }
+    if (result.probe) {
+      logProbe(result.probe, log);
+    }
+    // A file that fails verification is reported as a failure, not as a saved conversion
+    if (result.success && wouldConvert) {
+      log(`  ${colors.yellow}⚠ ${targetRules.name} would convert this (${result.reason})${colors.reset}`);
+    } else if (result.success) {
+      log(`  ${colors.green}✓ ${targetRules.name} would play directly${colors.reset}`);
     }
 
-    return true;
+    return result;
   } catch (error) {
     let errorMsg;
     try {
@@ -141,19 +369,79 @@ async function testVideo(filePath) {
     } catch (e) {
       errorMsg = String(error);
     }
-    console.log(`  ${colors.red}✗ Failed: ${errorMsg}${colors.reset}`);
+    log(`  ${colors.red}✗ Failed: ${errorMsg}${colors.reset}`);
 
-    results.push({
+    return {
       filename,
+      path: filePath,
       success: false,
       error: errorMsg
-    });
+    };
+  } finally {
+    if (capture) capture.stop();
+  }
+}
 
-    return false;
+// Convert a file mpv failed on and test the converted copy with retest(file).
+// The result keeps the original's failure, since mpv still cannot play the
+// original, and gains a conversion entry with the retest outcome and timing.
+async function testConverted(result, options, retest) {
+  const log = options.log || console.log;
+  const { codec = transcodeCache.FALLBACK_CODEC } = options.transcode;
+  log(`  ${colors.yellow}↺ Converting with FFmpeg (${codec})...${colors.reset}`);
+  try {
+    const conversion = await transcodeCache.convert(result.path, options.transcode);
+    log(conversion.cached
+      ? `  Using cached conversion (took ${conversion.seconds.toFixed(1)}s when made)`
+      : `  Converted in ${conversion.seconds.toFixed(1)}s`);
+    const retested = await retest(conversion.file);
+    result.conversion = {
+      codec,
+      file: conversion.file,
+      seconds: conversion.seconds,
+      cached: conversion.cached,
+      success: retested.success,
+      error: retested.error || null
+    };
+  } catch (error) {
+    log(`  ${colors.red}✗ Conversion failed: ${error.message}${colors.reset}`);
+    result.conversion = { codec, file: null, seconds: null, cached: false, success: false, error: error.message };
+  }
+  return result;
+}
+
+// Test one file on a started player. Options: log, deep, rules (defaults to
+// the rules main() loaded), and transcode ({ codec, limit } for
+// transcodeCache.convert) to convert and retest files mpv cannot play
+async function testVideo(filePath, player, options = {}) {
+  const result = await testPlayback(filePath, player, options);
+  if (result.success || !options.transcode) return result;
+  return testConverted(result, options, file => testPlayback(file, player, options));
+}
+
+// Print the differences from a baseline run
+function printBaselineComparison(comparison) {
+  const { diff, file, tolerance } = comparison;
+  console.log(`${colors.bright}Baseline Comparison${colors.reset} (vs ${file}, load tolerance ${baseline.formatTolerance(tolerance)}):`);
+  if (diff.total === 0) {
+    console.log(`  ${colors.green}No differences${colors.reset}`);
+    console.log();
+    return;
   }
+
+  diff.newlyFailing.forEach(d => console.log(`  ${colors.red}✗ Newly failing: ${d.file} - ${d.error}${colors.reset}`));
+  diff.newlyPassing.forEach(d => console.log(`  ${colors.green}✓ Newly passing: ${d.file} (was: ${d.previousError})${colors.reset}`));
+  diff.changed.forEach(d => {
+    const changes = d.changes.map(c => `${c.field} ${c.before} → ${c.after}`).join(', ');
+    console.log(`  ${colors.yellow}≠ Changed: ${d.file} (${changes})${colors.reset}`);
+  });
+  diff.slower.forEach(d => console.log(`  ${colors.yellow}⏱ Slower load: ${d.file} (${d.before}ms → ${d.after}ms)${colors.reset}`));
+  diff.added.forEach(d => console.log(`  + Not in baseline: ${d.file}`));
+  diff.missing.forEach(d => console.log(`  - Missing from this run: ${d.file}`));
+  console.log();
 }
 
-function printReport() {
+function printReport(comparison = null) {
   console.log(`\n${colors.bright}${colors.cyan}═══════════════════════════════════════════════════════════${colors.reset}`);
   console.log(`${colors.bright}${colors.cyan}                    TEST REPORT                            ${colors.reset}`);
   console.log(`${colors.bright}${colors.cyan}═══════════════════════════════════════════════════════════${colors.reset}\n`);
@@ -171,12 +459,12 @@ function printReport() {
 
   console.log(`${colors.bright}Conversion Analysis:${colors.reset}`);
   console.log(`  ${colors.green}No conversion needed with mpv: ${successful.length}${colors.reset}`);
-  console.log(`  ${colors.yellow}VidVuR would convert: ${wouldConvert.length}${colors.reset}`);
+  console.log(`  ${colors.yellow}${rules.name} would convert: ${wouldConvert.length}${colors.reset}`);
   console.log(`  ${colors.green}Saved conversions: ${wouldConvert.length}${colors.reset}`);
   console.log();
 
   if (wouldConvert.length > 0) {
-    console.log(`${colors.bright}${colors.yellow}Videos that VidVuR converts but mpv plays directly:${colors.reset}`);
+    console.log(`${colors.bright}${colors.yellow}Videos that ${rules.name} converts but mpv plays directly:${colors.reset}`);
     wouldConvert.forEach(r => {
       console.log(`  • ${r.filename} (${r.codec}) - ${r.reason}`);
       console.log(`    Load time: ${r.loadTime}ms (vs ~5000-30000ms conversion time)`);
@@ -192,6 +480,43 @@ function printReport() {
     console.log();
   }
 
+  const mismatched = results.filter(r => r.probe && r.probe.mismatches && r.probe.mismatches.length > 0);
+  if (mismatched.length > 0) {
+    console.log(`${colors.bright}${colors.yellow}mpv and ffprobe disagree:${colors.reset}`);
+    mismatched.forEach(r => {
+      console.log(`  • ${r.filename} - ${r.probe.mismatches.map(ffprobeCheck.describeMismatch).join('; ')}`);
+    });
+    console.log();
+  }
+
+  const variable = results.filter(r => r.vfr);
+  if (variable.length > 0) {
+    console.log(`${colors.bright}${colors.yellow}Variable frame rate (frame numbers and frame steps are approximate):${colors.reset}`);
+    variable.forEach(r => {
+      const { minInterval, maxInterval, averageFps } = r.probe.timestamps;
+      console.log(`  • ${r.filename} - frame intervals ${(minInterval * 1000).toFixed(1)}-${(maxInterval * 1000).toFixed(1)} ms, ` +
+        `${averageFps.toFixed(2)} fps on average`);
+    });
+    console.log();
+  }
+
+  const converted = results.filter(r => r.conversion);
+  if (converted.length > 0) {
+    console.log(`${colors.bright}${colors.yellow}Still needed conversion (fallback transcoding):${colors.reset}`);
+    converted.forEach(r => {
+      const { codec, seconds, cached, success, error } = r.conversion;
+      const time = seconds === null ? '' : ` in ${seconds.toFixed(1)}s${cached ? ' (cached)' : ''}`;
+      const outcome = success ? `${colors.green}plays${colors.reset}` : `${colors.red}still fails: ${error}${colors.reset}`;
+      console.log(`  • ${r.filename} - ${codec}${time}, ${outcome}`);
+    });
+    const fresh = converted.filter(r => r.conversion.seconds !== null && !r.conversion.cached);
+    if (fresh.length > 0) {
+      const total = fresh.reduce((sum, r) => sum + r.conversion.seconds, 0);
+      console.log(`  Conversion time this run: ${total.toFixed(1)}s for ${fresh.length} file(s)`);
+    }
+    console.log();
+  }
+
   // Performance metrics
   if (successful.length > 0) {
     const avgLoadTime = successful.reduce((sum, r) => sum + r.loadTime, 0) / successful.length;
@@ -206,18 +531,16 @@ function printReport() {
   console.log(`${colors.bright}Codecs tested:${colors.reset}`);
   const codecs = {};
   successful.forEach(r => {
-    if (!codecs[r.codec]) codecs[r.codec] = 0;
-    codecs[r.codec]++;
+    const key = r.codecName || r.codec;
+    if (!codecs[key]) codecs[key] = { count: 0, converted: 0 };
+    codecs[key].count++;
+    // The per-file verdict, which also weighs container, profile, bit depth and size
+    if (r.wouldConvert) codecs[key].converted++;
   });
-  Object.entries(codecs).forEach(([codec, count]) => {
-    // Use same matching logic as above
-    const codecLower = codec.toLowerCase();
-    const unsupported = VIDVUR_UNSUPPORTED_CODECS.some(unsup => {
-      const normalized = unsup.replace(/(\d)/, '.$1');
-      return codecLower.includes(unsup) || codecLower.includes(normalized);
-    });
-    const indicator = unsupported ? colors.yellow + '⚠' : colors.green + '✓';
-    console.log(`  ${indicator} ${codec}: ${count} file(s)${colors.reset}`);
+  Object.entries(codecs).forEach(([codec, { count, converted }]) => {
+    const indicator = converted > 0 ? colors.yellow + '⚠' : colors.green + '✓';
+    const note = converted > 0 ? `, ${converted} would convert` : '';
+    console.log(`  ${indicator} ${codec}: ${count} file(s)${note}${colors.reset}`);
   });
   console.log();
 
@@ -227,17 +550,192 @@ function printReport() {
     console.log(`  ${colors.green}Instant playback for all tested codecs${colors.reset}`);
     console.log(`  ${colors.green}Recommendation: Integrate mpv into VidVuR${colors.reset}`);
   } else if (successful.length > 0) {
-    console.log(`  ${colors.green}All tested videos work in both mpv and VidVuR${colors.reset}`);
+    console.log(`  ${colors.green}All tested videos work in both mpv and ${rules.name}${colors.reset}`);
     console.log(`  ${colors.yellow}Test with more codec varieties to see mpv benefits${colors.reset}`);
   }
   console.log();
+
+  if (comparison) {
+    printBaselineComparison(comparison);
+  }
+}
+
+// Test one file on a pool slot, replacing the slot's mpv if the test hangs.
+// Output is buffered per file so parallel jobs never interleave their lines.
+// Only mpv is timed: a fallback conversion takes as long as FFmpeg needs.
+async function testWithTimeout(slot, filePath, options) {
+  const { timeout, deep, probe, transcode } = options;
+  const lines = [];
+  const log = (...args) => lines.push(args.join(' '));
+
+  async function timedTest(file) {
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), timeout);
+    });
+    const result = await Promise.race([testPlayback(file, pool[slot], { log, deep, probe }), timedOut]);
+    clearTimeout(timer);
+    if (result) return result;
+
+    log(`  ${colors.red}✗ Failed: Timed out after ${timeout}ms - restarting mpv instance${colors.reset}`);
+    killPlayer(pool[slot], true);
+    pool[slot] = await createPlayer(slot, deep);
+    return {
+      filename: path.basename(file),
+      path: file,
+      success: false,
+      error: `Timed out after ${timeout}ms`
+    };
+  }
+
+  let result = await timedTest(filePath);
+  if (!result.success && transcode) {
+    result = await testConverted(result, { log, transcode }, timedTest);
+  }
+
+  // Snapshot the buffer so a late-finishing hung test cannot add to it
+  console.log(lines.slice().join('\n'));
+  return result;
+}
+
+// Spread files across the pool; results keep the order of the file list
+async function runPool(files, options) {
+  let next = 0;
+  async function worker(slot) {
+    while (next < files.length) {
+      const index = next++;
+      results[index] = await testWithTimeout(slot, files[index], options);
+    }
+  }
+  await Promise.all(pool.map((_, slot) => worker(slot)));
+}
+
+// Parse command line: [dir] [--jobs n] [--timeout ms] [--deep decode|seek]
+// [--rules file] [--format json|csv|junit] [--output file] [--max-failures n] [--max-load-time ms]
+// [--baseline file] [--save-baseline file] [--load-tolerance 50%|200ms]
+// [--transcode] [--cache-limit size] [--no-probe]
+function parseArgs(argv) {
+  const options = {
+    dir: '.',
+    jobs: 1,
+    timeout: null,
+    deep: null,
+    rules: compatRules.DEFAULT_RULES_FILE,
+    format: null,
+    output: null,
+    maxFailures: 0,
+    maxLoadTime: null,
+    baseline: null,
+    saveBaseline: null,
+    loadTolerance: baseline.parseTolerance('50%'),
+    transcode: null,
+    cacheLimit: transcodeCache.DEFAULT_CACHE_LIMIT,
+    probe: true
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--jobs') {
+      options.jobs = parseInt(argv[++i], 10);
+    } else if (arg === '--timeout') {
+      options.timeout = parseInt(argv[++i], 10);
+    } else if (arg === '--deep') {
+      options.deep = argv[++i];
+    } else if (arg === '--rules') {
+      options.rules = argv[++i];
+    } else if (arg === '--format') {
+      options.format = argv[++i];
+    } else if (arg === '--output') {
+      options.output = argv[++i];
+    } else if (arg === '--max-failures') {
+      options.maxFailures = parseInt(argv[++i], 10);
+    } else if (arg === '--max-load-time') {
+      options.maxLoadTime = parseInt(argv[++i], 10);
+    } else if (arg === '--baseline') {
+      options.baseline = argv[++i];
+    } else if (arg === '--save-baseline') {
+      options.saveBaseline = argv[++i];
+    } else if (arg === '--load-tolerance') {
+      options.loadTolerance = baseline.parseTolerance(argv[++i]);
+    } else if (arg === '--no-probe') {
+      options.probe = false;
+    } else if (arg === '--transcode') {
+      options.transcode = {};
+    } else if (arg === '--cache-limit') {
+      options.cacheLimit = transcodeCache.parseSize(argv[++i]);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.dir = arg;
+    }
+  }
+
+  if (!(options.jobs > 0)) {
+    throw new Error('--jobs must be a positive number');
+  }
+  if (options.deep && !DEEP_MPV_ARGS[options.deep]) {
+    throw new Error(`--deep must be one of: ${Object.keys(DEEP_MPV_ARGS).join(', ')}`);
+  }
+  if (options.timeout === null) {
+    // Full decodes take as long as the file needs
+    options.timeout = options.deep === 'decode' ? 30 * 60 * 1000 : 30000;
+  }
+  if (!(options.timeout > 0)) {
+    throw new Error('--timeout must be a positive number of milliseconds');
+  }
+  if (options.format && !reportFormats.FORMATS[options.format]) {
+    throw new Error(`--format must be one of: ${Object.keys(reportFormats.FORMATS).join(', ')}`);
+  }
+  if (options.output && !options.format) {
+    const ext = path.extname(options.output).toLowerCase();
+    options.format = Object.keys(reportFormats.FORMATS).find(f => reportFormats.FORMATS[f].extension === ext) || 'json';
+  }
+  if (options.format && !options.output) {
+    options.output = `codec-report${reportFormats.FORMATS[options.format].extension}`;
+  }
+  if (!(options.maxFailures >= 0)) {
+    throw new Error('--max-failures must be zero or a positive number');
+  }
+  if (options.maxLoadTime !== null && !(options.maxLoadTime > 0)) {
+    throw new Error('--max-load-time must be a positive number of milliseconds');
+  }
+  if (options.transcode) {
+    options.transcode.limit = options.cacheLimit;
+  }
+  return options;
+}
+
+// Check results against the configured thresholds, returning the violations
+function checkThresholds(options) {
+  const violations = [];
+  const failed = results.filter(r => !r.success);
+  if (failed.length > options.maxFailures) {
+    violations.push(`${failed.length} file(s) failed (allowed: ${options.maxFailures})`);
+  }
+  if (options.maxLoadTime !== null) {
+    results
+      .filter(r => r.success && r.loadTime > options.maxLoadTime)
+      .forEach(r => violations.push(`${r.filename} loaded in ${r.loadTime}ms (limit: ${options.maxLoadTime}ms)`));
+  }
+  return violations;
 }
 
 async function main() {
   console.log(`${colors.bright}${colors.cyan}VidVuR mpv Codec Testing${colors.reset}\n`);
 
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    rules = compatRules.loadRules(options.rules);
+    if (options.baseline) {
+      options.baselineReport = baseline.loadBaseline(options.baseline);
+    }
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exit(1);
+  }
+
   // Get directory to test
-  const testDir = process.argv[2] || '.';
+  const testDir = options.dir;
 
   if (!fs.existsSync(testDir)) {
     console.error(`${colors.red}Directory not found: ${testDir}${colors.reset}`);
@@ -245,45 +743,35 @@ async function main() {
   }
 
   // Find video files
-  const videoExtensions = ['.mp4', '.mkv', '.avi', '.mov', '.webm', '.flv', '.wmv', '.mpg', '.mpeg', '.m4v', '.3gp'];
-  const files = [];
-
-  function scanDir(dir) {
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-      if (entry.isDirectory()) {
-        scanDir(fullPath);
-      } else if (entry.isFile() && videoExtensions.includes(path.extname(entry.name).toLowerCase())) {
-        files.push(fullPath);
-      }
-    }
-  }
-
-  scanDir(testDir);
+  const files = mediaFiles.scanDir(testDir);
 
   if (files.length === 0) {
     console.log(`${colors.yellow}No video files found in ${testDir}${colors.reset}`);
-    console.log(`\nSupported extensions: ${videoExtensions.join(', ')}`);
+    console.log(`\nSupported extensions: ${mediaFiles.VIDEO_EXTENSIONS.join(', ')}`);
     process.exit(0);
   }
 
   console.log(`Found ${files.length} video file(s) to test\n`);
 
-  // Initialize mpv
-  console.log(`${colors.yellow}Initializing mpv...${colors.reset}`);
+  const ffprobeFound = await ffprobeCheck.ffprobeAvailable();
+  if (options.probe && !ffprobeFound) {
+    console.log(`${colors.yellow}⚠ ffprobe not found - skipping the ffprobe cross-check and VFR detection${colors.reset}\n`);
+    options.probe = false;
+  }
+  if (options.deep === 'decode' && !ffprobeFound) {
+    console.log(`${colors.yellow}⚠ ffprobe not found - decoded frames cannot be counted${colors.reset}\n`);
+  }
+
+  // Initialize mpv pool
+  const jobs = Math.min(options.jobs, files.length);
+  console.log(`${colors.yellow}Initializing mpv${jobs > 1 ? ` (${jobs} instances)` : ''}...${colors.reset}`);
   try {
-    player = new mpv({
-      audio_only: false,
-      verbose: false
-    }, [
-      '--pause',  // Start paused to avoid playback during test
-      '--idle=yes'
-    ]);
-
-    await player.start();
+    for (let slot = 0; slot < jobs; slot++) {
+      pool.push(await createPlayer(slot, options.deep));
+    }
     console.log(`${colors.green}✓ mpv initialized${colors.reset}`);
   } catch (error) {
+    shutdownPool(true);
     console.error(`${colors.red}Failed to initialize mpv: ${error.message}${colors.reset}`);
     console.log(`\nMake sure mpv is installed:`);
     console.log(`  macOS: brew install mpv`);
@@ -293,39 +781,68 @@ async function main() {
   }
 
   // Test each file
-  for (const file of files) {
-    await testVideo(file);
-  }
+  await runPool(files, options);
+
+  // Compare with baseline
+  const comparison = options.baselineReport ? {
+    file: options.baseline,
+    tolerance: options.loadTolerance,
+    diff: baseline.compare(options.baselineReport, results, testDir, options.loadTolerance)
+  } : null;
 
   // Print report
-  printReport();
+  printReport(comparison);
 
   // Cleanup
-  await player.quit();
-}
+  shutdownPool();
 
-// Handle errors
-process.on('uncaughtException', async (error) => {
-  console.error(`${colors.red}Uncaught error: ${error.message}${colors.reset}`);
-  if (player) {
-    try {
-      await player.quit();
-    } catch (e) {
-      // Ignore
-    }
+  if (options.format) {
+    fs.writeFileSync(options.output, reportFormats.serialize(options.format, results, { directory: testDir }));
+    console.log(`${colors.green}✓ ${options.format} report written to ${options.output}${colors.reset}`);
+  }
+  if (options.saveBaseline) {
+    fs.writeFileSync(options.saveBaseline, reportFormats.serialize('json', results, { directory: testDir }));
+    console.log(`${colors.green}✓ Baseline saved to ${options.saveBaseline}${colors.reset}`);
   }
-  process.exit(1);
-});
 
-// Run
-main().catch(async (error) => {
-  console.error(`${colors.red}Fatal error: ${error.message}${colors.reset}`);
-  if (player) {
-    try {
-      await player.quit();
-    } catch (e) {
-      // Ignore
-    }
+  const violations = checkThresholds(options);
+  if (violations.length > 0) {
+    console.log(`${colors.bright}${colors.red}Thresholds exceeded:${colors.reset}`);
+    violations.forEach(v => console.log(`  ${colors.red}• ${v}${colors.reset}`));
+    process.exit(2);
+  }
+  if (comparison && comparison.diff.total > 0) {
+    console.log(`${colors.yellow}${comparison.diff.total} difference(s) from baseline${colors.reset}`);
+    process.exit(3);
+  }
+}
+
+// Run when started directly; tests require this file for testVideo()
+if (require.main === module) {
+  // Handle errors
+  process.on('uncaughtException', (error) => {
+    console.error(`${colors.red}Uncaught error: ${error.message}${colors.reset}`);
+    shutdownPool(true);
+    process.exit(1);
+  });
+
+  // Never leave mpv children behind, whatever way we exit
+  process.on('exit', () => shutdownPool(true));
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      console.error(`\n${colors.yellow}Interrupted - stopping mpv instances${colors.reset}`);
+      shutdownPool(true);
+      process.exit(130);
+    });
   }
-  process.exit(1);
-});
+
+  main().catch((error) => {
+    console.error(`${colors.red}Fatal error: ${error.message}${colors.reset}`);
+    shutdownPool(true);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  testVideo
+};
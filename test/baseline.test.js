@@ -0,0 +1,114 @@
+/**
+ * baseline.js comparison of a codec test run with a saved report
+ *
+ * Run with: npm run test:offline
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const baseline = require('../baseline');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidvur-baseline-test-'));
+
+const RELATIVE = { value: 50, relative: true };
+const ABSOLUTE = { value: 200, relative: false };
+
+// A baseline record as saved by --format json (report-formats toRecord)
+function record(file, fields = {}) {
+  return { file, success: true, codec: 'h264', codecName: 'h264', fps: 25, duration: 10, loadTime: 100, error: null, ...fields };
+}
+
+// A current test-codecs.js result
+function result(filePath, fields = {}) {
+  return { path: filePath, filename: path.basename(filePath), success: true, codec: 'h264', codecName: 'h264', fps: 25, duration: 10, loadTime: 100, ...fields };
+}
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('parseTolerance() reads percentages and milliseconds', () => {
+  assert.deepStrictEqual(baseline.parseTolerance('50%'), RELATIVE);
+  assert.deepStrictEqual(baseline.parseTolerance('200'), ABSOLUTE);
+  assert.deepStrictEqual(baseline.parseTolerance(' 200ms '), ABSOLUTE);
+  assert.strictEqual(baseline.formatTolerance(RELATIVE), '50%');
+  assert.strictEqual(baseline.formatTolerance(ABSOLUTE), '200ms');
+  assert.throws(() => baseline.parseTolerance('fast'), /Invalid load-time tolerance/);
+});
+
+test('compare() lines files up by path relative to each run\'s directory', () => {
+  const report = { directory: '/old/checkout/videos', results: [record('/old/checkout/videos/a/clip.mp4')] };
+  const diff = baseline.compare(report, [result('/new/videos/a/clip.mp4')], '/new/videos', RELATIVE);
+  assert.strictEqual(diff.total, 0);
+});
+
+test('compare() reports files that started or stopped failing', () => {
+  const report = {
+    directory: '/v',
+    results: [record('/v/broke.mp4'), record('/v/fixed.avi', { success: false, error: 'no decoder' })]
+  };
+  const diff = baseline.compare(report, [
+    result('/v/broke.mp4', { success: false, error: 'Failed to load' }),
+    result('/v/fixed.avi')
+  ], '/v', RELATIVE);
+  assert.deepStrictEqual(diff.newlyFailing, [{ file: 'broke.mp4', error: 'Failed to load' }]);
+  assert.deepStrictEqual(diff.newlyPassing, [{ file: 'fixed.avi', previousError: 'no decoder' }]);
+  assert.deepStrictEqual(diff.changed, []);
+  assert.strictEqual(diff.total, 2);
+});
+
+test('compare() reports changed codecs and frame rates but ignores noise', () => {
+  const report = { directory: '/v', results: [record('/v/a.mp4'), record('/v/b.mp4'), record('/v/c.mp4')] };
+  const diff = baseline.compare(report, [
+    result('/v/a.mp4', { codec: 'hevc', codecName: 'hevc' }),
+    result('/v/b.mp4', { fps: 24.98, duration: 10.2 }),
+    result('/v/c.mp4', { fps: 25.005, duration: 10.04 })
+  ], '/v', RELATIVE);
+  assert.deepStrictEqual(diff.changed, [
+    {
+      file: 'a.mp4',
+      changes: [
+        { field: 'codec', before: 'h264', after: 'hevc' },
+        { field: 'codecName', before: 'h264', after: 'hevc' }
+      ]
+    },
+    {
+      file: 'b.mp4',
+      changes: [
+        { field: 'fps', before: 25, after: 24.98 },
+        { field: 'duration', before: 10, after: 10.2 }
+      ]
+    }
+  ]);
+});
+
+test('compare() flags slower loads beyond a relative or absolute tolerance', () => {
+  const report = { directory: '/v', results: [record('/v/a.mp4'), record('/v/b.mp4'), record('/v/c.mp4', { loadTime: null })] };
+  const results = [
+    result('/v/a.mp4', { loadTime: 151 }),
+    result('/v/b.mp4', { loadTime: 150 }),
+    result('/v/c.mp4', { loadTime: 5000 })
+  ];
+  assert.deepStrictEqual(baseline.compare(report, results, '/v', RELATIVE).slower, [{ file: 'a.mp4', before: 100, after: 151 }]);
+  assert.deepStrictEqual(baseline.compare(report, results, '/v', ABSOLUTE).slower, []);
+  assert.deepStrictEqual(baseline.compare(report, [result('/v/a.mp4', { loadTime: 301 })], '/v', ABSOLUTE).slower,
+    [{ file: 'a.mp4', before: 100, after: 301 }]);
+});
+
+test('compare() lists files added since the baseline and files no longer tested', () => {
+  const report = { directory: '/v', results: [record('/v/old.mp4'), record('/v/kept.mp4')] };
+  const diff = baseline.compare(report, [result('/v/kept.mp4'), result('/v/new.mkv')], '/v', RELATIVE);
+  assert.deepStrictEqual(diff.added, [{ file: 'new.mkv' }]);
+  assert.deepStrictEqual(diff.missing, [{ file: 'old.mp4' }]);
+  assert.strictEqual(diff.total, 2);
+});
+
+test('loadBaseline() rejects files that are not JSON codec reports', () => {
+  const notReport = path.join(dir, 'summary.json');
+  fs.writeFileSync(notReport, JSON.stringify({ total: 3 }));
+  assert.throws(() => baseline.loadBaseline(notReport), /is not a JSON codec report/);
+  assert.throws(() => baseline.loadBaseline(path.join(dir, 'missing.json')), /Cannot read baseline/);
+});
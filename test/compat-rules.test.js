@@ -0,0 +1,117 @@
+/**
+ * compat-rules.js rule matching and validation
+ *
+ * Run with: npm run test:offline
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const rules = require('../compat-rules');
+
+const RULES = {
+  rules: [
+    { match: { codec: ['h263', 'wmv3'] }, verdict: 'convert', reason: 'Unsupported codec' },
+    { match: { codec: 'h264', bitDepth: { min: 10 } }, verdict: 'convert', reason: 'High bit depth' },
+    { match: { profile: { regex: '^main ?10' } }, verdict: 'convert', reason: 'Main 10' },
+    { match: { container: 'matroska' }, verdict: 'convert', reason: 'Matroska' },
+    { match: { codec: 'h263' }, verdict: 'direct', reason: 'Never reached' }
+  ],
+  default: { verdict: 'direct', reason: 'Plays as is' }
+};
+
+function facts(overrides) {
+  return rules.factsFrom({
+    filePath: '/videos/clip.MP4',
+    codecName: 'h264',
+    fileFormat: 'mov,mp4,m4a,3gp,3g2,mj2',
+    pixelFormat: 'yuv420p',
+    profile: 'High',
+    width: 1920,
+    height: 1080,
+    ...overrides
+  });
+}
+
+test('factsFrom() splits demuxer names and derives the bit depth', () => {
+  assert.deepStrictEqual(facts({}), {
+    codec: 'h264',
+    container: ['mov', 'mp4', 'm4a', '3gp', '3g2', 'mj2'],
+    extension: '.mp4',
+    pixelFormat: 'yuv420p',
+    profile: 'High',
+    bitDepth: 8,
+    width: 1920,
+    height: 1080
+  });
+  assert.strictEqual(facts({ pixelFormat: 'yuv420p10le' }).bitDepth, 10);
+  assert.strictEqual(facts({ pixelFormat: null }).bitDepth, null);
+});
+
+test('factsFrom() reads the bit depth of high-depth and packed pixel formats', () => {
+  const depths = {
+    'yuvj420p': 8, 'nv12': 8, 'rgb24': 8, 'bgra': 8, 'gbrp': 8,
+    'yuv420p10': 10, 'yuv444p12le': 12, 'gbrap16be': 16,
+    'p010le': 10, 'p010': 10, 'p016le': 16, 'p210': 10,
+    'gray10le': 10, 'gray12le': 12, 'ya16le': 16,
+    'rgb48le': 16, 'rgba64le': 16, 'x2rgb10le': 10, 'y210le': 10, 'nv20le': 10
+  };
+  for (const [pixelFormat, depth] of Object.entries(depths)) {
+    assert.strictEqual(facts({ pixelFormat }).bitDepth, depth, pixelFormat);
+  }
+});
+
+test('factsFrom() leaves the bit depth unknown for formats it cannot tell', () => {
+  for (const pixelFormat of ['vaapi', 'd3d11', 'videotoolbox']) {
+    assert.strictEqual(facts({ pixelFormat }).bitDepth, null, pixelFormat);
+  }
+  // An unknown depth neither passes nor fails a bit depth condition
+  assert.strictEqual(rules.evaluate(RULES, facts({ pixelFormat: 'vaapi' })).rule, null);
+  assert.strictEqual(rules.evaluate(RULES, facts({ pixelFormat: 'p010le' })).rule, 1);
+});
+
+test('evaluate() applies the first matching rule', () => {
+  assert.deepStrictEqual(rules.evaluate(RULES, facts({ codecName: 'H263' })),
+    { verdict: 'convert', reason: 'Unsupported codec', rule: 0 });
+});
+
+test('evaluate() falls back to the default when no rule matches', () => {
+  assert.deepStrictEqual(rules.evaluate(RULES, facts({})), { verdict: 'direct', reason: 'Plays as is', rule: null });
+  assert.deepStrictEqual(rules.evaluate({ rules: [] }, facts({})), { verdict: 'direct', reason: null, rule: null });
+});
+
+test('evaluate() needs every condition of a rule to match', () => {
+  assert.strictEqual(rules.evaluate(RULES, facts({ pixelFormat: 'yuv420p10le' })).rule, 1);
+  assert.strictEqual(rules.evaluate(RULES, facts({ codecName: 'hevc', pixelFormat: 'yuv420p10le' })).rule, null);
+});
+
+test('evaluate() matches regular expressions case-insensitively', () => {
+  assert.strictEqual(rules.evaluate(RULES, facts({ codecName: 'hevc', profile: 'Main 10' })).rule, 2);
+  assert.strictEqual(rules.evaluate(RULES, facts({ codecName: 'hevc', profile: 'Main' })).rule, null);
+});
+
+test('evaluate() matches a multi-valued container if any name matches', () => {
+  assert.strictEqual(rules.evaluate(RULES, facts({ fileFormat: 'matroska,webm' })).rule, 3);
+});
+
+test('evaluate() never matches a fact that is unknown for the file', () => {
+  const unknown = facts({ codecName: null, pixelFormat: null, profile: null, fileFormat: null });
+  assert.strictEqual(rules.evaluate(RULES, unknown).rule, null);
+  // A numeric range does not treat a missing fact as 0
+  const range = { rules: [{ match: { bitDepth: { max: 8 } }, verdict: 'convert' }] };
+  assert.strictEqual(rules.evaluate(range, unknown).rule, null);
+});
+
+test('validateRules() rejects malformed rules with the rule number', () => {
+  assert.throws(() => rules.validateRules({}), /expected an object with a "rules" array/);
+  assert.throws(() => rules.validateRules({ rules: [{ match: {}, verdict: 'convert' }] }), /rule 1: "match" must be a non-empty object/);
+  assert.throws(() => rules.validateRules({ rules: [{ match: { codec: 'h264' }, verdict: 'maybe' }] }), /rule 1: verdict must be one of/);
+  assert.throws(() => rules.validateRules({ rules: [{ match: { bitrate: 1 }, verdict: 'convert' }] }), /unknown field "bitrate"/);
+  assert.throws(() => rules.validateRules({ rules: [{ match: { codec: { regex: '(' } }, verdict: 'convert' }] }), /Invalid regular expression/);
+});
+
+test('the bundled VidVuR rules convert legacy codecs and non-MP4 containers', () => {
+  const vidvur = rules.loadRules();
+  assert.strictEqual(rules.evaluate(vidvur, facts({ codecName: 'wmv3' })).reason, 'Unsupported codec');
+  assert.strictEqual(rules.evaluate(vidvur, facts({ filePath: '/videos/clip.MKV' })).reason, 'Container format requires conversion');
+  assert.strictEqual(rules.evaluate(vidvur, facts({})).verdict, 'direct');
+});
@@ -0,0 +1,105 @@
+/**
+ * control-server.js request checks against a stub API
+ *
+ * Run with: npm run test:offline
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const EventEmitter = require('events');
+const net = require('net');
+const { startControlServer } = require('../control-server');
+
+// What the stub player was asked to do
+let calls = [];
+
+const player = Object.assign(new EventEmitter(), {
+  command: async (command, args) => { calls.push(['command', command, args]); },
+  setProperty: async (name, value) => { calls.push(['setProperty', name, value]); },
+  getProperty: async (name) => name
+});
+
+const api = {
+  player,
+  propertyCache: new EventEmitter(),
+  getInfo: () => ({ video: null })
+};
+
+let port;
+let control;
+
+// A port nothing listens on, so the Host check knows the real one
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port: free } = probe.address();
+      probe.close(() => resolve(free));
+    });
+  });
+}
+
+async function request(method, route, body, headers = {}) {
+  const response = await fetch(`http://127.0.0.1:${port}${route}`, {
+    method,
+    headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  port = await freePort();
+  control = await startControlServer(port, api, { allowedOrigin: 'http://localhost:5173' });
+});
+
+after(() => {
+  control.close();
+});
+
+beforeEach(() => {
+  calls = [];
+});
+
+test('PUT /api/property sets properties on the writable list', async () => {
+  const { status } = await request('PUT', '/api/property/speed', { value: 0.5 });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(calls, [['setProperty', 'speed', 0.5]]);
+});
+
+test('PUT /api/property refuses properties that write files or load code', async () => {
+  for (const name of ['stream-record', 'input-ipc-server', 'script-opts']) {
+    const { status, body } = await request('PUT', `/api/property/${name}`, { value: '/tmp/x' });
+    assert.strictEqual(status, 403);
+    assert.match(body.error, new RegExp(`Property "${name}" cannot be set`));
+  }
+  assert.deepStrictEqual(calls, []);
+});
+
+test('property commands are checked against the writable list', async () => {
+  assert.strictEqual((await request('POST', '/api/command', { command: 'add', args: ['volume', 5] })).status, 200);
+  assert.strictEqual((await request('POST', '/api/command', { command: 'cycle-values', args: ['!reverse', 'speed', 1, 2] })).status, 200);
+  for (const args of [['stream-record', '/tmp/x'], ['!reverse', 'script-opts', 'a=1']]) {
+    const command = args[0] === '!reverse' ? 'cycle-values' : 'set';
+    assert.strictEqual((await request('POST', '/api/command', { command, args })).status, 403);
+  }
+  assert.deepStrictEqual(calls.map(call => call[1]), ['add', 'cycle-values']);
+});
+
+test('commands off the allowlist, including filter graphs, are refused', async () => {
+  for (const command of ['run', 'load-script', 'vf', 'af']) {
+    assert.strictEqual((await request('POST', '/api/command', { command, args: ['add', 'lavfi=[movie=/etc/passwd]'] })).status, 403);
+  }
+  assert.deepStrictEqual(calls, []);
+});
+
+test('requests from other origins and non-JSON bodies are refused', async () => {
+  const evil = await request('PUT', '/api/property/pause', { value: true }, { Origin: 'http://evil.example' });
+  assert.strictEqual(evil.status, 403);
+  const response = await fetch(`http://127.0.0.1:${port}/api/property/pause`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'text/plain' },
+    body: JSON.stringify({ value: true })
+  });
+  assert.strictEqual(response.status, 415);
+  assert.deepStrictEqual(calls, []);
+});
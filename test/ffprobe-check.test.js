@@ -0,0 +1,96 @@
+/**
+ * ffprobe-check.js timestamp analysis and fact comparison
+ *
+ * Run with: npm run test:offline
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const check = require('../ffprobe-check');
+
+// Packet timestamps at a constant rate, rounded like Matroska's 1 ms timebase
+function cfrTimes(fps, count, round = 0.001) {
+  return Array.from({ length: count }, (_, i) => Math.round(i / fps / round) * round);
+}
+
+test('parseRate() reads ffprobe fractions and ignores unknown rates', () => {
+  assert.strictEqual(check.parseRate('30000/1001'), 30000 / 1001);
+  assert.strictEqual(check.parseRate('25/1'), 25);
+  assert.strictEqual(check.parseRate('24'), 24);
+  assert.strictEqual(check.parseRate('0/0'), null);
+  assert.strictEqual(check.parseRate('30/0'), null);
+  assert.strictEqual(check.parseRate(undefined), null);
+});
+
+test('analyzeTimestamps() calls a 29.97 fps stream with millisecond timestamps CFR', () => {
+  const result = check.analyzeTimestamps(cfrTimes(30000 / 1001, 300));
+  assert.strictEqual(result.vfr, false);
+  assert.strictEqual(result.packets, 300);
+  assert.ok(Math.abs(result.averageFps - 29.97) < 0.01, `averageFps ${result.averageFps}`);
+});
+
+test('analyzeTimestamps() sorts packets given in decode order', () => {
+  const times = cfrTimes(25, 100);
+  // B-frames: each pair after the first packet arrives swapped
+  for (let i = 1; i + 1 < times.length; i += 3) {
+    [times[i], times[i + 1]] = [times[i + 1], times[i]];
+  }
+  assert.strictEqual(check.analyzeTimestamps(times).vfr, false);
+});
+
+test('analyzeTimestamps() calls a stream switching between 30 and 60 fps VFR', () => {
+  const times = [];
+  let t = 0;
+  for (let i = 0; i < 200; i++) {
+    times.push(t);
+    t += Math.floor(i / 20) % 2 === 0 ? 1 / 30 : 1 / 60;
+  }
+  const result = check.analyzeTimestamps(times);
+  assert.strictEqual(result.vfr, true);
+  assert.ok(Math.abs(result.minInterval - 1 / 60) < 1e-9);
+  assert.ok(Math.abs(result.maxInterval - 1 / 30) < 1e-9);
+});
+
+test('analyzeTimestamps() keeps a CFR stream with a few dropped frames CFR', () => {
+  // 2 gaps in 500 intervals stay under the 2% irregular share
+  const times = cfrTimes(25, 502).filter((_, i) => i !== 100 && i !== 300);
+  const result = check.analyzeTimestamps(times);
+  assert.strictEqual(result.vfr, false);
+  assert.ok(result.irregular > 0);
+});
+
+test('analyzeTimestamps() cannot tell from too few packets', () => {
+  assert.deepStrictEqual(check.analyzeTimestamps(cfrTimes(25, 10)), { packets: 10, vfr: null });
+  assert.deepStrictEqual(check.analyzeTimestamps([NaN, 0, 0, 0]), { packets: 3, vfr: null });
+});
+
+test('compareFacts() allows rounding and estimation differences', () => {
+  const mpvFacts = {
+    codecName: 'h264', profile: 'high', width: 1920, height: 1080,
+    duration: 60.05, frames: 1799, containerFps: 29.975, paramsFps: 29.97
+  };
+  const probeFacts = {
+    codec: 'h264', profile: 'High', width: 1920, height: 1080,
+    duration: 60, frames: 1800, fps: 30000 / 1001
+  };
+  assert.deepStrictEqual(check.compareFacts(mpvFacts, probeFacts), []);
+});
+
+test('compareFacts() reports facts the tools disagree on beyond the tolerances', () => {
+  const mpvFacts = { codecName: 'hevc', width: 1920, height: 1080, duration: 61, frames: 1830, containerFps: 30, paramsFps: 29.97 };
+  const probeFacts = { codec: 'h264', width: 1920, height: 1088, duration: 60, frames: 1800, fps: 30000 / 1001 };
+  assert.deepStrictEqual(check.compareFacts(mpvFacts, probeFacts).map(mismatch => mismatch.field),
+    ['codec', 'height', 'duration', 'frames', 'container-fps']);
+});
+
+test('compareFacts() skips facts only one tool reports', () => {
+  const mpvFacts = { codecName: 'vp9', profile: null, duration: undefined, containerFps: 24 };
+  const probeFacts = { codec: 'vp9', profile: 'Profile 0', duration: 10, fps: null };
+  assert.deepStrictEqual(check.compareFacts(mpvFacts, probeFacts), []);
+});
+
+test('describeMismatch() rounds fractional values', () => {
+  assert.strictEqual(check.describeMismatch({ field: 'container-fps', mpv: 30, ffprobe: 30000 / 1001 }),
+    'container-fps: mpv 30, ffprobe 29.97');
+  assert.strictEqual(check.describeMismatch({ field: 'codec', mpv: 'hevc', ffprobe: 'h264' }), 'codec: mpv hevc, ffprobe h264');
+});
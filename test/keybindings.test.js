@@ -0,0 +1,97 @@
+/**
+ * keybindings.js key names and config loading
+ *
+ * Run with: npm run test:offline
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keybindings = require('../keybindings');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidvur-keys-test-'));
+const ACTION_IDS = ['seek', 'toggle-pause', 'quit', 'pan', 'help'];
+
+function configFile(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('keyName() keeps printable characters and prefixes modifiers on named keys', () => {
+  assert.strictEqual(keybindings.keyName('k', { name: 'k' }), 'k');
+  assert.strictEqual(keybindings.keyName('K', { name: 'k', shift: true }), 'K');
+  assert.strictEqual(keybindings.keyName('{', {}), '{');
+  assert.strictEqual(keybindings.keyName(' ', { name: 'space' }), 'space');
+  assert.strictEqual(keybindings.keyName(undefined, { name: 'left', shift: true }), 'shift+left');
+  assert.strictEqual(keybindings.keyName('\x13', { name: 's', ctrl: true }), 'ctrl+s');
+  assert.strictEqual(keybindings.keyName('x', { name: 'x', meta: true }), 'alt+x');
+  assert.strictEqual(keybindings.keyName(undefined, {}), null);
+});
+
+test('normalizeKey() lower-cases named keys, maps aliases and orders modifiers', () => {
+  assert.strictEqual(keybindings.normalizeKey('Shift+Left'), 'shift+left');
+  assert.strictEqual(keybindings.normalizeKey('Option+x'), 'alt+x');
+  assert.strictEqual(keybindings.normalizeKey('meta+Ctrl+S'), 'ctrl+alt+S');
+  assert.strictEqual(keybindings.normalizeKey('PageUp'), 'pageup');
+  assert.strictEqual(keybindings.normalizeKey('+'), '+');
+  assert.strictEqual(keybindings.normalizeKey('ctrl++'), 'ctrl++');
+  assert.throws(() => keybindings.normalizeKey('hyper+k'), /Unknown modifier "hyper"/);
+});
+
+test('formatKey() labels keys for the help', () => {
+  assert.strictEqual(keybindings.formatKey('shift+left'), 'Shift+←');
+  assert.strictEqual(keybindings.formatKey('ctrl++'), 'Ctrl++');
+  assert.strictEqual(keybindings.formatKey('f5'), 'F5');
+  assert.strictEqual(keybindings.formatKey('K'), 'K');
+});
+
+test('parseCommand() splits an action id from its arguments', () => {
+  assert.deepStrictEqual(keybindings.parseCommand('  seek   -5 '), { name: 'seek', args: ['-5'] });
+  assert.deepStrictEqual(keybindings.parseCommand(''), { name: '', args: [] });
+});
+
+test('loadBindings() gives the defaults when there is no config file', () => {
+  const { bindings, warnings } = keybindings.loadBindings(path.join(dir, 'missing.json'), ACTION_IDS);
+  assert.deepStrictEqual(bindings, keybindings.DEFAULT_BINDINGS);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('loadBindings() applies overrides, removals and aliases, and warns on bad entries', () => {
+  const file = configFile('keys.json', {
+    bindings: {
+      'j': 'seek -10',
+      'Shift+Left': 'seek -60',
+      'q': null,
+      'x': 'launch-rockets',
+      'hyper+z': 'quit'
+    }
+  });
+  const { bindings, warnings } = keybindings.loadBindings(file, ACTION_IDS);
+  assert.strictEqual(bindings.j, 'seek -10');
+  // The alias replaces the default binding of the same key
+  assert.strictEqual(bindings['shift+left'], 'seek -60');
+  assert.strictEqual(bindings['Shift+Left'], undefined);
+  assert.strictEqual('q' in bindings, false);
+  assert.strictEqual(bindings.x, keybindings.DEFAULT_BINDINGS.x);
+  assert.deepStrictEqual(warnings, [
+    'Unknown action "launch-rockets" bound to x',
+    'Unknown modifier "hyper" in key "hyper+z"'
+  ]);
+});
+
+test('loadBindings() lets the later of two spellings of one key win', () => {
+  const file = configFile('conflict.json', { bindings: { 'shift+left': 'pan left', 'Shift+LEFT': 'seek -1' } });
+  assert.strictEqual(keybindings.loadBindings(file, ACTION_IDS).bindings['shift+left'], 'seek -1');
+});
+
+test('loadBindings() rejects files it cannot use', () => {
+  assert.throws(() => keybindings.loadBindings(configFile('broken.json', '{ bindings'), ACTION_IDS), /Invalid key bindings file/);
+  assert.throws(() => keybindings.loadBindings(configFile('shape.json', { k: 'quit' }), ACTION_IDS), /expected \{ "bindings"/);
+});
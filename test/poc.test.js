@@ -0,0 +1,229 @@
+/**
+ * poc.js against a fake mpv
+ *
+ * Run with: npm run test:offline
+ */
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeMpv } = require('../fake-mpv');
+
+// Keep saved loops out of the real home directory; store.js reads this on require
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'vidvur-poc-test-'));
+process.env.VIDVUR_POC_HOME = home;
+const poc = require('../poc');
+
+// loadVideo() hashes the file for saved loops, so it has to exist
+const CLIP = path.join(home, 'clip.mp4');
+const AUDIO_ONLY = path.join(home, 'podcast.m4a');
+const BROKEN = path.join(home, 'broken.mp4');
+const TAGGED = path.join(home, 'tagged.mp4');
+
+const CLIP_PROPERTIES = {
+  'video-codec': 'h264 (High)',
+  'video-format': 'h264',
+  'file-format': 'mov,mp4,m4a,3gp,3g2,mj2',
+  'video-params/w': 1920,
+  'video-params/h': 1080,
+  'video-params/fps': 25,
+  'container-fps': 25,
+  'duration': 60,
+  'metadata': {}
+};
+
+let fake;
+
+before(async () => {
+  for (const file of [CLIP, AUDIO_ONLY, BROKEN, TAGGED]) fs.writeFileSync(file, `fake media: ${file}`);
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  fake = await createFakeMpv({
+    files: {
+      [CLIP]: CLIP_PROPERTIES,
+      [AUDIO_ONLY]: { 'audio-codec-name': 'aac', 'file-format': 'mov,mp4,m4a,3gp,3g2,mj2', 'duration': 300 },
+      [BROKEN]: { loadError: 'unrecognized file format' },
+      [TAGGED]: {
+        ...CLIP_PROPERTIES,
+        'metadata': { comment: JSON.stringify({ loops: [{ start: 1, end: 2, name: 'Intro' }, { start: 5, end: 8, name: 'Riff' }] }) }
+      }
+    }
+  });
+  assert.strictEqual(await poc.initialize([], { socket: fake.socketPath }), true);
+});
+
+after(async () => {
+  await fake.close();
+  mock.restoreAll();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fake.setLatency(0);
+  fake.failCommand('frame-step', null);
+  fake.failCommand('frame-back-step', null);
+  fake.clearCommands();
+});
+
+test('loadVideo() loads the file and reads its info from the property cache', async () => {
+  assert.strictEqual(await poc.loadVideo(CLIP), true);
+  assert.deepStrictEqual(fake.sent('loadfile'), [[CLIP, 'replace']]);
+
+  const info = poc.createControlApi().getInfo().video;
+  assert.strictEqual(info.filename, 'clip.mp4');
+  assert.strictEqual(info.codec, 'h264 (High)');
+  assert.strictEqual(info.width, 1920);
+  assert.strictEqual(info.height, 1080);
+  assert.strictEqual(info.fps, 25);
+  assert.strictEqual(info.duration, 60);
+});
+
+test('loadVideo() returns false when mpv cannot open the file', async () => {
+  assert.strictEqual(await poc.loadVideo(BROKEN), false);
+});
+
+test('getVideoInfo() falls back to defaults for properties mpv cannot provide', async () => {
+  assert.strictEqual(await poc.loadVideo(AUDIO_ONLY), true);
+  const info = poc.getVideoInfo(AUDIO_ONLY);
+  assert.strictEqual(info.codec, 'Unknown');
+  assert.strictEqual(info.width, 0);
+  assert.strictEqual(info.height, 0);
+  assert.strictEqual(info.fps, 0);
+  assert.strictEqual(info.duration, 300);
+});
+
+test('getVideoInfo() falls back to container-fps when the decoder has no rate', async () => {
+  fake.addFile(CLIP, { ...CLIP_PROPERTIES, 'video-params/fps': undefined, 'container-fps': 29.97 });
+  try {
+    assert.strictEqual(await poc.loadVideo(CLIP), true);
+    assert.strictEqual(poc.getVideoInfo(CLIP).fps, 29.97);
+  } finally {
+    fake.addFile(CLIP, CLIP_PROPERTIES);
+  }
+});
+
+test('frameStep() sends frame-step / frame-back-step and moves one frame', async () => {
+  await poc.loadVideo(CLIP);
+  fake.setPosition(2);
+
+  assert.strictEqual(await poc.frameStep('forward'), true);
+  assert.strictEqual(fake.properties['estimated-frame-number'], 51);
+  assert.strictEqual(await poc.frameStep('backward'), true);
+  assert.strictEqual(await poc.frameStep('backward'), true);
+  assert.strictEqual(fake.properties['estimated-frame-number'], 49);
+
+  assert.strictEqual(fake.sent('frame-step').length, 1);
+  assert.strictEqual(fake.sent('frame-back-step').length, 2);
+});
+
+test('frameStep() reports failure instead of throwing when mpv rejects the command', async () => {
+  await poc.loadVideo(CLIP);
+  fake.failCommand('frame-back-step');
+  assert.strictEqual(await poc.frameStep('backward'), false);
+});
+
+test('a failed frame step fails the script/API step instead of reporting success', async () => {
+  await poc.loadVideo(CLIP);
+  fake.failCommand('frame-step');
+  await assert.rejects(poc.createControlApi().frameStep('forward', 3), /Frame step 1 of 3 failed/);
+  assert.strictEqual(fake.sent('frame-step').length, 1);
+});
+
+test('frameStep() waits for slow replies', async () => {
+  await poc.loadVideo(CLIP);
+  fake.setLatency({ 'frame-step': 50 });
+  const start = Date.now();
+  assert.strictEqual(await poc.frameStep('forward'), true);
+  assert.ok(Date.now() - start >= 45);
+});
+
+test('A/B loop is set in mpv and cleared again', async () => {
+  await poc.loadVideo(CLIP);
+  const api = poc.createControlApi();
+
+  assert.deepStrictEqual(await api.setLoop(12.5, '00:00:18:00'), { start: 12.5, end: 18 });
+  assert.strictEqual(fake.properties['ab-loop-a'], 12.5);
+  assert.strictEqual(fake.properties['ab-loop-b'], 18);
+  assert.deepStrictEqual(api.getInfo().loop, { start: 12.5, end: 18 });
+
+  await assert.rejects(api.setLoop(20, 10), /after loop start/);
+
+  await api.clearLoop();
+  assert.strictEqual(fake.properties['ab-loop-a'], 'no');
+  assert.strictEqual(fake.properties['ab-loop-b'], 'no');
+  assert.strictEqual(api.getInfo().loop, null);
+});
+
+test('loadVideo() saves session state on file switch and restores it', async () => {
+  await poc.loadVideo(CLIP);
+  const api = poc.createControlApi();
+  await api.setLoop(10, 20);
+  fake.setPosition(15);
+  fake.setProperty('speed', 1.5);
+  // Let the property-change events reach the cache
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  await poc.loadVideo(AUDIO_ONLY);
+  assert.strictEqual(api.getInfo().loop, null);
+
+  const seeked = new Promise(resolve => poc.getPlayer().once('seek', resolve));
+  fake.clearCommands();
+  await poc.loadVideo(CLIP);
+  await seeked;
+  assert.deepStrictEqual(fake.sent('seek'), [[15, 'absolute+exact']]);
+  assert.strictEqual(fake.properties.speed, 1.5);
+  assert.deepStrictEqual(api.getInfo().loop, { start: 10, end: 20 });
+
+  const saved = JSON.parse(fs.readFileSync(path.join(home, 'resume.json'), 'utf8'));
+  assert.deepStrictEqual(Object.values(saved).map(entry => entry.file).sort(), [AUDIO_ONLY, CLIP].sort());
+});
+
+test('a failed load does not overwrite the previous file\'s resume position', async () => {
+  await poc.loadVideo(CLIP);
+  fake.setPosition(30);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.strictEqual(await poc.loadVideo(BROKEN), false);
+  assert.strictEqual(poc.createControlApi().getInfo().video, null);
+  await poc.loadVideo(AUDIO_ONLY);
+
+  const seeked = new Promise(resolve => poc.getPlayer().once('seek', resolve));
+  fake.clearCommands();
+  await poc.loadVideo(CLIP);
+  await seeked;
+  assert.deepStrictEqual(fake.sent('seek'), [[30, 'absolute+exact']]);
+});
+
+test('loops from the comment tag are imported once, so deleted loops stay deleted', async () => {
+  await poc.loadVideo(TAGGED);
+  const api = poc.createControlApi();
+  assert.deepStrictEqual(api.getInfo().savedLoops.map(loop => loop.name), ['Intro', 'Riff']);
+
+  // Deleting every loop drops the file's entry from loops.json
+  const loopsFile = path.join(home, 'loops.json');
+  const loops = JSON.parse(fs.readFileSync(loopsFile, 'utf8'));
+  for (const [hash, entry] of Object.entries(loops)) {
+    if (entry.file === TAGGED) delete loops[hash];
+  }
+  fs.writeFileSync(loopsFile, JSON.stringify(loops));
+
+  await poc.loadVideo(CLIP);
+  await poc.loadVideo(TAGGED);
+  assert.deepStrictEqual(api.getInfo().savedLoops, []);
+});
+
+// Runs last: the fake stops answering for good
+test('frameStep() fails cleanly after mpv crashes', async () => {
+  const seeked = new Promise(resolve => poc.getPlayer().once('seek', resolve));
+  fake.clearCommands();
+  await poc.loadVideo(CLIP);
+  // A resumed position seeks; node-mpv watches the seek on a second socket until it settles
+  if (fake.sent('seek').length > 0) await seeked;
+  const crashed = new Promise(resolve => poc.getPlayer().once('crashed', resolve));
+  await fake.crash();
+  await crashed;
+  assert.strictEqual(await poc.frameStep('forward'), false);
+});
@@ -0,0 +1,65 @@
+/**
+ * practice.js speed presets, loop wrap detection and speed ramp
+ *
+ * Run with: npm run test:offline
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const practice = require('../practice');
+
+test('nextPreset() steps between presets and stops at either end', () => {
+  assert.strictEqual(practice.nextPreset(1, 1), 1.25);
+  assert.strictEqual(practice.nextPreset(1, -1), 0.75);
+  // A speed between presets moves to the neighbouring preset, not past it
+  assert.strictEqual(practice.nextPreset(1.1, 1), 1.25);
+  assert.strictEqual(practice.nextPreset(1.1, -1), 1);
+  assert.strictEqual(practice.nextPreset(3, 1), 3);
+  assert.strictEqual(practice.nextPreset(0.25, -1), 0.25);
+});
+
+test('isLoopWrap() sees the playhead jumping from B back to A', () => {
+  assert.strictEqual(practice.isLoopWrap(19.9, 10.05, 10, 20), true);
+  assert.strictEqual(practice.isLoopWrap(19.6, 10.4, 10, 20), true);
+});
+
+test('isLoopWrap() ignores playback and seeks inside the loop', () => {
+  // Playing forward
+  assert.strictEqual(practice.isLoopWrap(12, 12.1, 10, 20), false);
+  // Seeking back from the middle of the loop
+  assert.strictEqual(practice.isLoopWrap(15, 10, 10, 20), false);
+  // Seeking back from the end to the middle
+  assert.strictEqual(practice.isLoopWrap(19.9, 15, 10, 20), false);
+});
+
+test('isLoopWrap() narrows the margin for short loops', () => {
+  // A 1 s loop allows 0.25 s either side
+  assert.strictEqual(practice.isLoopWrap(10.8, 10.2, 10, 11), true);
+  assert.strictEqual(practice.isLoopWrap(10.7, 10.1, 10, 11), false);
+  assert.strictEqual(practice.isLoopWrap(10.9, 10.3, 10, 11), false);
+});
+
+test('isLoopWrap() is false without a valid loop or positions', () => {
+  assert.strictEqual(practice.isLoopWrap(19.9, 10, 20, 10), false);
+  assert.strictEqual(practice.isLoopWrap(19.9, 10, 10, 10), false);
+  assert.strictEqual(practice.isLoopWrap(null, 10, 10, 20), false);
+  assert.strictEqual(practice.isLoopWrap(19.9, undefined, 10, 20), false);
+});
+
+test('rampSpeed() steps up every N iterations and stops at the target', () => {
+  const ramp = practice.DEFAULT_RAMP;
+  assert.deepStrictEqual([0, 1, 2, 3, 4, 9, 10, 11, 50].map(iterations => practice.rampSpeed(ramp, iterations)),
+    [0.5, 0.5, 0.6, 0.6, 0.7, 0.9, 1, 1, 1]);
+});
+
+test('rampSpeed() rounds away floating-point error', () => {
+  // 0.7 + 0.1 * 2 is 0.8999999999999999 in floating point
+  assert.strictEqual(practice.rampSpeed({ start: 0.7, step: 0.1, target: 2, every: 1 }, 2), 0.9);
+});
+
+test('validateRamp() rejects settings mpv refuses or that never progress', () => {
+  assert.doesNotThrow(() => practice.validateRamp(practice.DEFAULT_RAMP));
+  assert.throws(() => practice.validateRamp({ ...practice.DEFAULT_RAMP, step: 0 }), /Speed step must be a positive number/);
+  assert.throws(() => practice.validateRamp({ ...practice.DEFAULT_RAMP, start: 1.5 }), /Start speed must not be above the target/);
+  assert.throws(() => practice.validateRamp({ ...practice.DEFAULT_RAMP, every: 1.5 }), /Loops per step must be a whole number/);
+});
@@ -0,0 +1,82 @@
+/**
+ * test-codecs.js classification against a fake mpv
+ *
+ * Run with: npm run test:offline
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const mpv = require('node-mpv');
+const compatRules = require('../compat-rules');
+const { createFakeMpv } = require('../fake-mpv');
+const { testVideo } = require('../test-codecs');
+
+const MP4 = 'mov,mp4,m4a,3gp,3g2,mj2';
+
+// What mpv reports for each (non-existent) sample; paths must be absolute
+// because node-mpv resolves them before sending loadfile
+const FILES = {
+  '/videos/h264.mp4': { 'video-codec': 'h264 (High)', 'video-format': 'h264', 'file-format': MP4 },
+  '/videos/h264.mkv': { 'video-codec': 'h264 (High)', 'video-format': 'h264', 'file-format': 'matroska,webm' },
+  '/videos/wmv3.mp4': { 'video-codec': 'wmv3 (Windows Media Video 9)', 'video-format': 'wmv3', 'file-format': MP4 },
+  '/videos/audio.mp4': { 'audio-codec-name': 'aac', 'file-format': MP4 },
+  '/videos/broken.mp4': { loadError: 'unrecognized file format' }
+};
+
+const rules = compatRules.loadRules();
+const quiet = { log: () => {}, rules };
+let fake;
+let player;
+
+before(async () => {
+  const files = {};
+  for (const [file, values] of Object.entries(FILES)) {
+    files[file] = values.loadError ? values : {
+      'video-params/w': 1280, 'video-params/h': 720, 'container-fps': 30, 'duration': 10, ...values
+    };
+  }
+  fake = await createFakeMpv({ files });
+  player = new mpv({ verbose: false, auto_restart: false, socket: fake.socketPath });
+  await player.start();
+});
+
+after(async () => {
+  await fake.close();
+});
+
+test('a supported codec in an MP4 plays directly', async () => {
+  const result = await testVideo('/videos/h264.mp4', player, quiet);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.codec, 'h264 (High)');
+  assert.strictEqual(result.codecName, 'h264');
+  assert.strictEqual(result.resolution, '1280x720');
+  assert.strictEqual(result.fps, 30);
+  assert.strictEqual(result.duration, 10);
+  assert.strictEqual(result.wouldConvert, false);
+});
+
+test('a supported codec in a converted container needs conversion', async () => {
+  const result = await testVideo('/videos/h264.mkv', player, quiet);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.wouldConvert, true);
+  assert.strictEqual(result.reason, 'Container format requires conversion');
+});
+
+test('an unsupported codec needs conversion', async () => {
+  const result = await testVideo('/videos/wmv3.mp4', player, quiet);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.wouldConvert, true);
+  assert.strictEqual(result.reason, 'Unsupported codec');
+});
+
+test('a file without a video stream fails', async () => {
+  const result = await testVideo('/videos/audio.mp4', player, quiet);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Could not detect video codec/);
+});
+
+test('a file mpv cannot open fails', async () => {
+  const result = await testVideo('/videos/broken.mp4', player, quiet);
+  assert.strictEqual(result.success, false);
+  assert.ok(result.error);
+});
@@ -0,0 +1,115 @@
+/**
+ * transcode-cache.js eviction and cache lookups
+ *
+ * Run with: npm run test:offline
+ */
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the cache out of the real home directory; store.js reads this on require
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'vidvur-cache-test-'));
+process.env.VIDVUR_POC_HOME = home;
+const store = require('../store');
+const cache = require('../transcode-cache');
+
+// Seed the index and the cache directory; null size means the file is missing
+function seed(entries) {
+  fs.rmSync(cache.CACHE_DIR, { recursive: true, force: true });
+  fs.mkdirSync(cache.CACHE_DIR, { recursive: true });
+  const index = {};
+  for (const [key, { size, lastUsed }] of Object.entries(entries)) {
+    const file = `${key}.mp4`;
+    if (size !== null) fs.writeFileSync(path.join(cache.CACHE_DIR, file), Buffer.alloc(size));
+    index[key] = {
+      source: path.join(home, `${key}.avi`),
+      contentHash: key,
+      codec: 'h264',
+      file,
+      size: size || 0,
+      seconds: 1,
+      created: lastUsed,
+      lastUsed
+    };
+  }
+  store.writeStore('conversions', index);
+}
+
+const cached = (key) => fs.existsSync(path.join(cache.CACHE_DIR, `${key}.mp4`));
+
+beforeEach(() => {
+  store.writeStore('conversions', {});
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('parseSize() reads byte counts and binary units', () => {
+  assert.strictEqual(cache.parseSize('500'), 500);
+  assert.strictEqual(cache.parseSize('2K'), 2048);
+  assert.strictEqual(cache.parseSize('1.5m'), 1.5 * 1024 ** 2);
+  assert.strictEqual(cache.parseSize('20GB'), 20 * 1024 ** 3);
+  assert.throws(() => cache.parseSize('0'), /Invalid size/);
+  assert.throws(() => cache.parseSize('lots'), /Invalid size/);
+});
+
+test('evict() removes the least recently used conversions until the cache fits', () => {
+  seed({
+    old: { size: 300, lastUsed: '2026-01-01T00:00:00.000Z' },
+    middle: { size: 300, lastUsed: '2026-02-01T00:00:00.000Z' },
+    recent: { size: 300, lastUsed: '2026-03-01T00:00:00.000Z' }
+  });
+  const removed = cache.evict(600);
+  assert.deepStrictEqual(removed.map(entry => entry.contentHash), ['old']);
+  assert.strictEqual(cached('old'), false);
+  assert.strictEqual(cached('middle'), true);
+  assert.deepStrictEqual(Object.keys(store.readStore('conversions')).sort(), ['middle', 'recent']);
+});
+
+test('evict() never removes the conversion it was told to keep', () => {
+  seed({
+    fresh: { size: 500, lastUsed: '2026-01-01T00:00:00.000Z' },
+    other: { size: 500, lastUsed: '2026-02-01T00:00:00.000Z' }
+  });
+  const removed = cache.evict(600, 'fresh');
+  assert.deepStrictEqual(removed.map(entry => entry.contentHash), ['other']);
+  assert.strictEqual(cached('fresh'), true);
+});
+
+test('evict() drops index entries whose file has gone without counting them', () => {
+  seed({
+    gone: { size: null, lastUsed: '2026-01-01T00:00:00.000Z' },
+    kept: { size: 100, lastUsed: '2026-02-01T00:00:00.000Z' }
+  });
+  assert.deepStrictEqual(cache.evict(1000), []);
+  assert.deepStrictEqual(Object.keys(store.readStore('conversions')), ['kept']);
+});
+
+test('convert() returns a cached conversion without running FFmpeg', async () => {
+  const src = path.join(home, 'moved name.avi');
+  fs.writeFileSync(src, 'not really a video');
+  const settings = cache.encodingSettings();
+  const key = cache.cacheKey(store.hashFile(src), settings);
+  seed({ [key]: { size: 10, lastUsed: '2026-01-01T00:00:00.000Z' } });
+
+  const result = await cache.convert(src);
+  assert.deepStrictEqual(result, {
+    file: path.join(cache.CACHE_DIR, `${key}.mp4`),
+    cached: true,
+    seconds: 1,
+    codec: 'h264'
+  });
+  const entry = store.readStore('conversions')[key];
+  assert.strictEqual(entry.source, src);
+  assert.ok(entry.lastUsed > '2026-01-01T00:00:00.000Z');
+});
+
+test('cacheKey() changes with the encoding settings', () => {
+  const hash = 'a'.repeat(64);
+  assert.notStrictEqual(cache.cacheKey(hash, cache.encodingSettings('h264')), cache.cacheKey(hash, cache.encodingSettings('vp9')));
+  assert.throws(() => cache.encodingSettings('mpeg1'), /Unknown codec: mpeg1/);
+});
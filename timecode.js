@@ -0,0 +1,131 @@
+/**
+ * Frame Numbers and SMPTE Timecode
+ *
+ * Converts between seconds, frame numbers and HH:MM:SS:FF timecode.
+ * 29.97 and 59.94 fps use drop-frame timecode (HH:MM:SS;FF), which skips
+ * frame labels at the start of every minute except each tenth minute so the
+ * timecode stays in step with wall-clock time.
+ */
+
+// Nominal (integer) rate and drop-frame parameters for a frame rate
+function rateInfo(fps) {
+  const nominal = Math.round(fps);
+  const dropFrame = [30, 60].includes(nominal) && Math.abs(fps - nominal * 1000 / 1001) < 0.01;
+  return {
+    nominal,
+    dropFrame,
+    // Frame labels dropped per minute: 2 at 29.97, 4 at 59.94
+    dropCount: dropFrame ? nominal / 15 : 0
+  };
+}
+
+// Frame number containing the given time
+function secondsToFrame(seconds, fps) {
+  if (!fps || !Number.isFinite(seconds)) return 0;
+  // Tolerate float error so a frame's own timestamp maps to that frame
+  return Math.max(0, Math.floor(seconds * fps + 1e-3));
+}
+
+// Presentation time of a frame
+function frameToSeconds(frame, fps) {
+  if (!fps) return 0;
+  return frame / fps;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// Render a frame number as SMPTE timecode
+function framesToTimecode(frame, fps) {
+  if (!fps) return '00:00:00:00';
+  const { nominal, dropFrame, dropCount } = rateInfo(fps);
+  let label = Math.max(0, Math.floor(frame));
+
+  if (dropFrame) {
+    const framesPer10Min = Math.round(fps * 600);
+    const framesPerMin = nominal * 60 - dropCount;
+    const tens = Math.floor(label / framesPer10Min);
+    const rest = label % framesPer10Min;
+    label += dropCount * 9 * tens;
+    if (rest > dropCount) {
+      label += dropCount * Math.floor((rest - dropCount) / framesPerMin);
+    }
+  }
+
+  const ff = label % nominal;
+  const totalSeconds = Math.floor(label / nominal);
+  const ss = totalSeconds % 60;
+  const mm = Math.floor(totalSeconds / 60) % 60;
+  const hh = Math.floor(totalSeconds / 3600);
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}${dropFrame ? ';' : ':'}${pad(ff)}`;
+}
+
+// Parse SMPTE timecode (':' or ';' before the frame field) into a frame number
+function timecodeToFrames(timecode, fps) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})[:;](\d{1,2})$/.exec(timecode.trim());
+  if (!match) throw new Error(`Invalid timecode: ${timecode}`);
+  const [hh, mm, ss, ff] = match.slice(1).map(Number);
+  const { nominal, dropFrame, dropCount } = rateInfo(fps);
+
+  if (mm > 59 || ss > 59 || ff >= nominal) {
+    throw new Error(`Timecode out of range for ${fps.toFixed(3)} fps: ${timecode}`);
+  }
+
+  const totalMinutes = hh * 60 + mm;
+  if (dropFrame && ff < dropCount && ss === 0 && mm % 10 !== 0) {
+    throw new Error(`${timecode} does not exist in drop-frame timecode`);
+  }
+
+  let frames = (hh * 3600 + mm * 60 + ss) * nominal + ff;
+  if (dropFrame) {
+    frames -= dropCount * (totalMinutes - Math.floor(totalMinutes / 10));
+  }
+  return frames;
+}
+
+// Parse user input into a position. Accepts:
+//   375              frame number (seconds with { bareNumbers: 'seconds' })
+//   f375 / 375f      frame number, always
+//   12.5 / 12.5s     seconds
+//   01:23.500        [HH:]MM:SS[.mmm] clock time
+//   00:00:12:15      SMPTE timecode (';' before frames for drop-frame)
+// Returns { frame, seconds }.
+function parsePosition(input, fps, { bareNumbers = 'frames' } = {}) {
+  const text = input.trim();
+  let match;
+
+  if ((match = /^f(\d+)$/i.exec(text)) || (match = /^(\d+)f$/i.exec(text)) ||
+      (bareNumbers === 'frames' && (match = /^(\d+)$/.exec(text)))) {
+    if (!fps) throw new Error('Frame rate unknown - cannot convert frame numbers');
+    const frame = parseInt(match[1], 10);
+    return { frame, seconds: frameToSeconds(frame, fps) };
+  }
+
+  if ((match = /^(\d*\.\d+|\d+(?:\.\d+)?)s$/.exec(text)) || (match = /^(\d*\.\d+|\d+)$/.exec(text))) {
+    const seconds = parseFloat(match[1]);
+    return { frame: secondsToFrame(seconds, fps), seconds };
+  }
+
+  if (/^\d+:\d{1,2}:\d{1,2}[:;]\d{1,2}$/.test(text)) {
+    if (!fps) throw new Error('Frame rate unknown - cannot convert timecode');
+    const frame = timecodeToFrames(text, fps);
+    return { frame, seconds: frameToSeconds(frame, fps) };
+  }
+
+  if ((match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(text))) {
+    const seconds = Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + parseFloat(match[3]);
+    return { frame: secondsToFrame(seconds, fps), seconds };
+  }
+
+  throw new Error(`Unrecognised position: ${input}`);
+}
+
+module.exports = {
+  rateInfo,
+  secondsToFrame,
+  frameToSeconds,
+  framesToTimecode,
+  timecodeToFrames,
+  parsePosition
+};
@@ -0,0 +1,56 @@
+/**
+ * Audio/Subtitle Tracks
+ *
+ * Helpers over mpv's track-list property: describing tracks for display and
+ * choosing the next track when cycling.
+ */
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.ass', '.ssa', '.vtt', '.sub'];
+
+const TYPE_LABELS = { video: 'Video', audio: 'Audio', sub: 'Subtitle' };
+
+function tracksOfType(trackList, type) {
+  return (trackList || []).filter(track => track.type === type);
+}
+
+function selectedTrack(trackList, type) {
+  return tracksOfType(trackList, type).find(track => track.selected) || null;
+}
+
+// One-line description: #2 aac [eng] "Commentary" 6ch 5.1(side) 48000 Hz (default, external)
+function describeTrack(track) {
+  const parts = [`#${track.id}`, track.codec || 'unknown'];
+  if (track.lang) parts.push(`[${track.lang}]`);
+  if (track.title) parts.push(`"${track.title}"`);
+  if (track.type === 'audio') {
+    if (track['demux-channel-count']) parts.push(`${track['demux-channel-count']}ch`);
+    if (track['demux-channels']) parts.push(track['demux-channels']);
+    if (track['demux-samplerate']) parts.push(`${track['demux-samplerate']} Hz`);
+  } else if (track.type === 'video' && track['demux-w']) {
+    parts.push(`${track['demux-w']}x${track['demux-h']}`);
+    if (track['demux-fps']) parts.push(`${Number(track['demux-fps']).toFixed(3)} fps`);
+  }
+  const flags = ['default', 'forced', 'external'].filter(flag => track[flag]);
+  if (flags.length > 0) parts.push(`(${flags.join(', ')})`);
+  return parts.join(' ');
+}
+
+// Track id to select after the current one; with includeOff, 'no' comes after
+// the last track (as mpv's own cycling does). Returns null if there is nothing to cycle.
+function nextTrackId(trackList, type, includeOff = false) {
+  const ids = tracksOfType(trackList, type).map(track => track.id);
+  if (includeOff) ids.push('no');
+  if (ids.length < 2) return null;
+  const current = selectedTrack(trackList, type);
+  const index = ids.indexOf(current ? current.id : 'no');
+  return ids[(index + 1) % ids.length];
+}
+
+module.exports = {
+  SUBTITLE_EXTENSIONS,
+  TYPE_LABELS,
+  tracksOfType,
+  selectedTrack,
+  describeTrack,
+  nextTrackId
+};
@@ -0,0 +1,294 @@
+/**
+ * Fallback Transcoding Cache
+ *
+ * Opt-in fallback for files mpv cannot open or decode: FFmpeg converts them
+ * to H.264/AAC MP4 and the converted copy is played or tested instead.
+ *
+ * Conversions are cached under ~/.vidvur-mpv-poc/converted_videos, named by
+ * the source's content hash plus a hash of the encoding settings, so renamed
+ * or moved sources hit the cache and changed settings never return a stale
+ * copy. The cache is kept under a size limit by evicting the least recently
+ * used conversions.
+ *
+ * Also a small CLI to inspect and purge the cache:
+ *   node transcode-cache.js [list]
+ *   node transcode-cache.js purge [--missing | --older-than <days>]
+ *   node transcode-cache.js trim [--limit <size>]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const { ENCODE_PRESETS, run } = require('./clip-export');
+
+const CACHE_DIR = path.join(store.DATA_DIR, 'converted_videos');
+
+// Index of cached conversions, keyed by cache key
+const INDEX_STORE = 'conversions';
+
+const DEFAULT_CACHE_LIMIT = 20 * 1024 ** 3;
+
+const FALLBACK_CODEC = 'h264';
+
+const SIZE_UNITS = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+// Parse a size such as 500M, 20G or a plain byte count
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([KMGT]?)B?$/i.exec(String(value).trim());
+  if (!match || !(Number(match[1]) > 0)) {
+    throw new Error(`Invalid size: ${value} (e.g. 500M, 20G)`);
+  }
+  return Math.round(Number(match[1]) * SIZE_UNITS[match[2].toUpperCase()]);
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// Everything that changes the converted output
+function encodingSettings(codec = FALLBACK_CODEC) {
+  const preset = ENCODE_PRESETS[codec];
+  if (!preset) {
+    throw new Error(`Unknown codec: ${codec} (expected ${Object.keys(ENCODE_PRESETS).join(', ')})`);
+  }
+  const container = preset.containers[0];
+  const args = ['-map', '0:v:0', '-map', '0:a:0?', ...preset.video, ...preset.audio];
+  if (container === 'mp4' || container === 'mov') args.push('-movflags', '+faststart');
+  return { codec, container, args };
+}
+
+// Cache key: content hash of the source plus a hash of the encoding settings
+function cacheKey(contentHash, settings) {
+  const settingsHash = crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex');
+  return `${contentHash.slice(0, 16)}-${settingsHash.slice(0, 8)}`;
+}
+
+// Read, change and write the index in one synchronous step, so parallel
+// conversions (test-codecs.js --jobs) never overwrite each other's entries
+function updateIndex(change) {
+  const index = store.readStore(INDEX_STORE);
+  const result = change(index);
+  store.writeStore(INDEX_STORE, index);
+  return result;
+}
+
+// Drop least recently used conversions until the cache fits in limit bytes.
+// Index entries whose file has gone are dropped too. Returns the removed entries.
+function evict(limit, keep = null) {
+  return updateIndex((index) => {
+    const removed = [];
+    for (const [key, entry] of Object.entries(index)) {
+      if (!fs.existsSync(path.join(CACHE_DIR, entry.file))) {
+        delete index[key];
+      }
+    }
+    let total = Object.values(index).reduce((sum, entry) => sum + entry.size, 0);
+    const oldestFirst = Object.entries(index).sort(([, a], [, b]) => a.lastUsed.localeCompare(b.lastUsed));
+    for (const [key, entry] of oldestFirst) {
+      if (total <= limit) break;
+      if (key === keep) continue;
+      fs.rmSync(path.join(CACHE_DIR, entry.file), { force: true });
+      delete index[key];
+      total -= entry.size;
+      removed.push(entry);
+    }
+    return removed;
+  });
+}
+
+// Duration in seconds from ffprobe, or null if the container does not say
+async function probeDuration(src) {
+  try {
+    const output = await run('ffprobe', ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', src]);
+    const duration = parseFloat(output);
+    return duration > 0 ? duration : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Conversions running in this process by cache key, so parallel pool
+// workers given the same content share one FFmpeg run
+const inFlight = new Map();
+
+// Makes partial file names unique per job within this process
+let partialCounter = 0;
+
+// Run FFmpeg into a partial file private to this job, move it into place
+// and record it in the index
+async function transcode(src, { key, file, settings, contentHash, codec, limit, onProgress }) {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  // Another process may convert the same content at the same time: each job
+  // writes its own partial file and the atomic rename lets the last one win
+  const partial = path.join(CACHE_DIR, `${key}.${process.pid}-${++partialCounter}.partial.${settings.container}`);
+  const duration = await probeDuration(src);
+  const started = Date.now();
+  try {
+    await run('ffmpeg', ['-y', '-v', 'error', '-nostats', '-progress', 'pipe:1', '-i', src, ...settings.args, partial], (line) => {
+      const match = /^out_time_(?:us|ms)=(\d+)/.exec(line.trim());
+      if (match && duration && onProgress) onProgress(Math.min(1, Number(match[1]) / 1e6 / duration));
+    });
+    fs.renameSync(partial, file);
+  } catch (error) {
+    fs.rmSync(partial, { force: true });
+    throw error;
+  }
+  if (onProgress) onProgress(1);
+
+  const seconds = (Date.now() - started) / 1000;
+  const now = new Date().toISOString();
+  updateIndex((index) => {
+    index[key] = {
+      source: path.resolve(src),
+      contentHash,
+      codec,
+      file: path.basename(file),
+      size: fs.statSync(file).size,
+      seconds,
+      created: now,
+      lastUsed: now
+    };
+  });
+  evict(limit, key);
+  return { file, cached: false, seconds, codec };
+}
+
+// Converted copy of src, from the cache or converted now. Options:
+//   codec       ENCODE_PRESETS key (default h264)
+//   limit       cache size limit in bytes, enforced after a conversion
+//   onProgress  called with the fraction done (0-1) while converting
+// Resolves with { file, cached, seconds, codec }, where seconds is how long
+// the conversion took (when it was made, for a cached copy)
+async function convert(src, { codec = FALLBACK_CODEC, limit = DEFAULT_CACHE_LIMIT, onProgress } = {}) {
+  const settings = encodingSettings(codec);
+  const contentHash = store.hashFile(src);
+  const key = cacheKey(contentHash, settings);
+  const file = path.join(CACHE_DIR, `${key}.${settings.container}`);
+
+  const hit = updateIndex((index) => {
+    const entry = index[key];
+    if (!entry || !fs.existsSync(file)) return null;
+    entry.lastUsed = new Date().toISOString();
+    entry.source = path.resolve(src);
+    return entry;
+  });
+  if (hit) return { file, cached: true, seconds: hit.seconds, codec };
+
+  if (inFlight.has(key)) {
+    const shared = await inFlight.get(key);
+    return { ...shared, cached: true };
+  }
+  const job = transcode(src, { key, file, settings, contentHash, codec, limit, onProgress });
+  inFlight.set(key, job);
+  try {
+    return await job;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+// Cached conversions, most recently used first, with their total size
+function listCache() {
+  const entries = Object.entries(store.readStore(INDEX_STORE))
+    .map(([key, entry]) => ({ key, ...entry, exists: fs.existsSync(path.join(CACHE_DIR, entry.file)) }))
+    .sort((a, b) => b.lastUsed.localeCompare(a.lastUsed));
+  const totalSize = entries.filter(entry => entry.exists).reduce((sum, entry) => sum + entry.size, 0);
+  return { entries, totalSize };
+}
+
+// Remove the conversions matching a filter (all of them by default),
+// returning the removed entries
+function purgeCache(filter = () => true) {
+  return updateIndex((index) => {
+    const removed = [];
+    for (const [key, entry] of Object.entries(index)) {
+      if (!filter(entry)) continue;
+      fs.rmSync(path.join(CACHE_DIR, entry.file), { force: true });
+      delete index[key];
+      removed.push(entry);
+    }
+    return removed;
+  });
+}
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  dim: '\x1b[2m'
+};
+
+function printCache(limit) {
+  const { entries, totalSize } = listCache();
+  console.log(`${colors.cyan}Conversion cache: ${CACHE_DIR}${colors.reset}`);
+  console.log(`${entries.length} conversion(s), ${formatSize(totalSize)} of ${formatSize(limit)}\n`);
+  for (const entry of entries) {
+    const notes = [];
+    if (!entry.exists) notes.push(`${colors.red}file missing${colors.reset}`);
+    if (!fs.existsSync(entry.source)) notes.push(`${colors.yellow}source gone${colors.reset}`);
+    console.log(`  ${entry.lastUsed.slice(0, 16).replace('T', ' ')}  ${formatSize(entry.size).padStart(9)}  ` +
+      `${entry.codec}  ${entry.seconds.toFixed(1)}s  ${entry.source}${notes.length > 0 ? `  ${notes.join(', ')}` : ''}`);
+    console.log(`  ${colors.dim}${entry.file}${colors.reset}`);
+  }
+}
+
+function printRemoved(removed, what) {
+  const bytes = removed.reduce((sum, entry) => sum + entry.size, 0);
+  console.log(`${colors.green}✓ Removed ${removed.length} ${what} (${formatSize(bytes)})${colors.reset}`);
+}
+
+function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+  const option = (name) => {
+    const i = args.indexOf(name);
+    return i === -1 ? null : args[i + 1];
+  };
+  const limit = option('--limit') ? parseSize(option('--limit')) : DEFAULT_CACHE_LIMIT;
+
+  if (command === 'list') {
+    printCache(limit);
+  } else if (command === 'purge') {
+    if (args.includes('--missing')) {
+      printRemoved(purgeCache(entry => !fs.existsSync(entry.source)), 'conversion(s) of sources that are gone');
+    } else if (option('--older-than')) {
+      const days = Number(option('--older-than'));
+      if (!(days > 0)) throw new Error('--older-than must be a positive number of days');
+      const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+      printRemoved(purgeCache(entry => Date.parse(entry.lastUsed) < cutoff), `conversion(s) unused for ${days} days`);
+    } else {
+      printRemoved(purgeCache(), 'conversion(s)');
+    }
+  } else if (command === 'trim') {
+    printRemoved(evict(limit), `conversion(s) to fit ${formatSize(limit)}`);
+  } else {
+    throw new Error(`Unknown command: ${command} (expected list, purge or trim)`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`${colors.red}✗ ${error.message}${colors.reset}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  CACHE_DIR,
+  DEFAULT_CACHE_LIMIT,
+  FALLBACK_CODEC,
+  parseSize,
+  formatSize,
+  encodingSettings,
+  cacheKey,
+  convert,
+  evict,
+  listCache,
+  purgeCache
+};
@@ -0,0 +1,115 @@
+/**
+ * Video Adjustments
+ *
+ * Brightness, contrast, saturation, gamma, horizontal mirror, rotation and
+ * zoom/pan, applied through mpv properties (and an hflip video filter for the
+ * mirror). mpv keeps these across file loads, so every setting is applied
+ * on each load, including the ones left at their defaults.
+ */
+
+// Equalizer properties: mpv accepts -100..100 for each
+const EQUALIZER = ['brightness', 'contrast', 'saturation', 'gamma'];
+const EQUALIZER_STEP = 2;
+
+// video-zoom is log2 of the scale (1 = 2x); pan is a fraction of the video size
+const ZOOM_STEP = 0.1;
+const PAN_STEP = 0.05;
+
+// Label of the mirror filter in mpv's vf chain, so it can be removed again
+const MIRROR_FILTER = '@vidvur-mirror';
+
+// mpv property behind each non-equalizer setting
+const PROPERTIES = { rotate: 'video-rotate', zoom: 'video-zoom', panX: 'video-pan-x', panY: 'video-pan-y' };
+
+const DEFAULT_ADJUSTMENTS = {
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+  gamma: 0,
+  mirror: false,
+  rotate: 0,
+  zoom: 0,
+  panX: 0,
+  panY: 0
+};
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Round away floating point drift from repeated steps
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Settings with one change applied: an equalizer or zoom/pan step, or a
+// mirror toggle or 90° rotation
+function adjust(settings, name, delta) {
+  const next = { ...settings };
+  if (EQUALIZER.includes(name)) {
+    next[name] = clamp(settings[name] + delta, -100, 100);
+  } else if (name === 'mirror') {
+    next.mirror = !settings.mirror;
+  } else if (name === 'rotate') {
+    next.rotate = (settings.rotate + 90) % 360;
+  } else if (name === 'zoom') {
+    next.zoom = round(clamp(settings.zoom + delta, -2, 3));
+  } else if (name === 'panX' || name === 'panY') {
+    next[name] = round(clamp(settings[name] + delta, -3, 3));
+  } else {
+    throw new Error(`Unknown adjustment: ${name}`);
+  }
+  return next;
+}
+
+function isDefault(settings) {
+  return Object.keys(DEFAULT_ADJUSTMENTS).every(name => settings[name] === DEFAULT_ADJUSTMENTS[name]);
+}
+
+// Active adjustments for display, e.g. ['brightness +4', 'mirrored', 'rotated 90°']
+function describe(settings) {
+  const signed = (value) => (value > 0 ? `+${value}` : String(value));
+  const parts = EQUALIZER.filter(name => settings[name] !== 0).map(name => `${name} ${signed(settings[name])}`);
+  if (settings.mirror) parts.push('mirrored');
+  if (settings.rotate) parts.push(`rotated ${settings.rotate}°`);
+  if (settings.zoom) parts.push(`zoom ${Math.pow(2, settings.zoom).toFixed(2)}x`);
+  if (settings.panX || settings.panY) parts.push(`pan ${signed(settings.panX)}/${signed(settings.panY)}`);
+  return parts;
+}
+
+// Apply one setting to the player
+async function applyAdjustment(player, settings, name) {
+  if (name !== 'mirror') {
+    await player.setProperty(PROPERTIES[name] || name, settings[name]);
+    return;
+  }
+  // Removing a filter that is not in the chain fails harmlessly
+  try {
+    await player.command('vf', ['remove', MIRROR_FILTER]);
+  } catch (error) {
+    // Was not mirrored
+  }
+  if (settings.mirror) {
+    await player.command('vf', ['add', `${MIRROR_FILTER}:hflip`]);
+  }
+}
+
+// Apply every setting, e.g. after a file loads
+async function applyAdjustments(player, settings) {
+  for (const name of Object.keys(DEFAULT_ADJUSTMENTS)) {
+    await applyAdjustment(player, settings, name);
+  }
+}
+
+module.exports = {
+  EQUALIZER,
+  EQUALIZER_STEP,
+  ZOOM_STEP,
+  PAN_STEP,
+  DEFAULT_ADJUSTMENTS,
+  adjust,
+  isDefault,
+  describe,
+  applyAdjustment,
+  applyAdjustments
+};
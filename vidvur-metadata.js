@@ -0,0 +1,117 @@
+/**
+ * VidVuR Loop Metadata
+ *
+ * VidVuR stores loops as {"loops":[{start,end,name}]} JSON inside the
+ * container's 'comment' tag. mpv can read the tag through its 'metadata'
+ * property but cannot write it, so exports go through FFmpeg.
+ */
+
+const { spawn } = require('child_process');
+
+// Find the comment tag regardless of how the container cases its keys
+function findComment(metadata) {
+  if (!metadata || typeof metadata !== 'object') return null;
+  const key = Object.keys(metadata).find(k => k.toLowerCase() === 'comment');
+  return key ? metadata[key] : null;
+}
+
+function preview(text) {
+  const flat = String(text).replace(/\s+/g, ' ');
+  return flat.length > 60 ? `${flat.slice(0, 57)}...` : flat;
+}
+
+// Parse VidVuR loops out of mpv's 'metadata' property.
+//
+// Returns { status, loops, problems, payload } where status is one of:
+//   none      - no comment tag
+//   loops     - a VidVuR payload; problems lists any entries that were skipped
+//   malformed - looks like a VidVuR payload but cannot be used
+//   foreign   - the comment holds something other than VidVuR loops
+function parseLoopComment(metadata) {
+  const comment = findComment(metadata);
+  if (comment === null || comment === '') {
+    return { status: 'none', loops: [], problems: [], payload: null };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(comment);
+  } catch (error) {
+    const status = String(comment).trim().startsWith('{') ? 'malformed' : 'foreign';
+    const problem = status === 'malformed' ?
+      `Invalid JSON in comment tag: ${error.message}` :
+      `Comment tag is not VidVuR loop data: "${preview(comment)}"`;
+    return { status, loops: [], problems: [problem], payload: null };
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload) || !('loops' in payload)) {
+    return {
+      status: 'foreign',
+      loops: [],
+      problems: [`Comment tag holds JSON without a "loops" key: "${preview(comment)}"`],
+      payload: null
+    };
+  }
+
+  if (!Array.isArray(payload.loops)) {
+    return {
+      status: 'malformed',
+      loops: [],
+      problems: [`"loops" is ${typeof payload.loops}, expected an array`],
+      payload
+    };
+  }
+
+  const loops = [];
+  const problems = [];
+  payload.loops.forEach((loop, i) => {
+    const start = Number(loop && loop.start);
+    const end = Number(loop && loop.end);
+    if (!loop || typeof loop !== 'object') {
+      problems.push(`Loop ${i + 1}: not an object`);
+    } else if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      problems.push(`Loop ${i + 1}: start/end must be numbers (got ${loop.start}, ${loop.end})`);
+    } else if (start < 0 || end <= start) {
+      problems.push(`Loop ${i + 1}: invalid range ${start} - ${end}`);
+    } else {
+      loops.push({ start, end, name: loop.name ? String(loop.name) : `Loop ${i + 1}` });
+    }
+  });
+
+  return { status: 'loops', loops, problems, payload };
+}
+
+// Serialize loops in VidVuR's format, keeping any other keys of the original payload
+function serializeLoopComment(loops, payload) {
+  return JSON.stringify(Object.assign({}, payload, {
+    loops: loops.map(({ start, end, name }) => ({ start, end, name }))
+  }));
+}
+
+// Write a stream-copied duplicate of sourcePath with the loops in its comment tag
+function writeLoopsToCopy(sourcePath, destPath, loops, payload) {
+  const args = [
+    '-y', '-v', 'error',
+    '-i', sourcePath,
+    '-map', '0', '-c', 'copy', '-map_metadata', '0',
+    '-metadata', `comment=${serializeLoopComment(loops, payload)}`,
+    destPath
+  ];
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', args);
+    let stderr = '';
+    ffmpeg.stderr.on('data', (data) => { stderr += data; });
+    ffmpeg.on('error', (error) => reject(new Error(`Could not run ffmpeg: ${error.message}`)));
+    ffmpeg.on('close', (code) => {
+      if (code === 0) resolve(destPath);
+      else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+module.exports = {
+  parseLoopComment,
+  serializeLoopComment,
+  writeLoopsToCopy
+};